@@ -1,14 +1,21 @@
 // src/App.jsx
 // Night Report Dashboard (React + Vite + Tailwind)
 // Tabs:
-//  - Overview: shows latest Night Report as 8 tail cards (click for details)
+//  - Overview: shows latest Night Report as one card per active fleet tail (click for details,
+//              "History" for that tail across all saved reports)
 //  - RTS:      parse & display Daily RTS OR a Weekly RTS plan (missions before Healing)
-//  - Generator:compose Night Report from HOTO + Telegram defects
+//  - Generator:compose Night Report from HOTO + Telegram defects (pasted or result.json export)
 //  - HOTO:     paste HOTO, tick outstanding items, move to Completed, and save
 //  - Servicing: plan & track minor/major servicing (rows, color codes, D-days)
 //  - Calculator: quick date projections + Eng↔AF hour tools
+//  - Trends:   fleet availability per day / per tail from saved reports (charts + CSV)
+//  - Equipment: EOSS turret units (which TU is on which tail) from HOTO + Night Report markers,
+//              and editable MEE / BRU / Probe registers written back into the HOTO
+//  - Lessons & AOM: searchable AOM / lessons-learnt lines from every saved HOTO
+//  - Settings: fleet registry (tail numbers, codes, active flag, order)
 //
-// Storage: Firestore (collection "reports", doc id = "YYYY-MM-DD")
+// Storage: Firestore (collection "reports", doc id = "YYYY-MM-DD", every save also kept in its
+//          "revisions" subcollection; fleet in "settings/fleet")
 // Auth: Google (popup with redirect fallback handled in firebase.js)
 
 import React, { useEffect, useMemo, useRef, useState } from "react";
@@ -31,12 +38,49 @@ import {
   query,
   orderBy,
   deleteDoc,
+  where,
+  limit,
+  getDocs,
+  writeBatch,
+  deleteField,
 } from "firebase/firestore";
 
+import { parseTelegramExport, matchMessageTail, toDefectText } from "./utils/telegramExport";
+import { parseDateTime, formatDuration } from "./utils/datetime";
+import {
+  missionDetails,
+  describeMissionType,
+  parseClockTimes,
+  parseRefuelLine,
+  buildRtsTimeline,
+  formatMinutes,
+  summarizeRtsWeek,
+  refuelSchedule,
+  refuelBrief,
+  parseTestProfiles,
+  profileTickKey,
+} from "./utils/rtsMissions";
+import { crossCheckRts } from "./utils/rtsCrossCheck";
+import { idToCode } from "./utils/mapping";
+import { DEFAULT_FLEET, normalizeFleet, activeFleet, validateFleet } from "./utils/fleet";
+import { STATUS_TAGS, RANGES, sliceRange, availabilitySeries, availabilityCSV } from "./utils/availability";
+import { findRecurringDefects } from "./utils/recurrence";
+import { rectificationEpisodes, summarizeDowntime, downtimeHistogram } from "./utils/mttr";
+import { markerEoss, parseEossStatus, eossHistory, eossMismatches } from "./utils/eoss";
+import {
+  REGISTER_KINDS,
+  emptyRegisterRow,
+  parseRegister,
+  serializeRegisterLine,
+  diffRegister,
+} from "./utils/equipment";
+import { KNOWLEDGE_KINDS, extractKnowledge, searchKnowledge } from "./utils/knowledge";
+import { diffLines, sideBySide, foldUnchanged } from "./utils/textDiff";
+import { assignHotoItemIds, carryForwardRegistry, rebaseOnSaved, traceItemAges } from "./utils/hotoItems";
+
 /* =========================
    Settings / constants
    ========================= */
-const PLACEHOLDERS = [252, 253, 260, 261, 262, 263, 265, 266];
 // Use \n (not /n) to create a newline; footer uses whitespace-pre-line to render it
 const APP_VERSION = "v0.0.4\nCreated by JohnAturn";
 
@@ -70,6 +114,9 @@ const SERV_TYPE_OPTIONS = [
   "7D","14D","28D","56A","56B","112D","365D","365D+A","365D+B","730D","1430D","Phase A","Phase B","Whidbey","30H","60H"
 ];
 
+// How many earlier nights the HOTO checker looks back through for item aging
+const HOTO_LOOKBACK_NIGHTS = 60;
+
 // Calculator fixed intervals (days)
 const CALC_INTERVALS = [14, 28, 56, 112, 180, 365];
 
@@ -84,14 +131,6 @@ const ENG_TO_AF = 0.8; // 1 Eng hr = 0.8 AF hr
    Helpers (IDs, status, parsing)
    ========================= */
 
-// Convert numeric placeholder id to code:
-// 252 -> F2 ; 253 -> F3 ; 260 -> S0 ; 261 -> S1 ; etc.
-function idToCode(id) {
-  if (id >= 251 && id <= 259) return `F${id - 250}`;
-  if (id >= 260 && id <= 269) return `S${id - 260}`;
-  return String(id);
-}
-
 // Determine status color/tag from the parsed entry.
 // Priority: AOG (purple) > U/S or defect/GR (red) > in-phase (orange) > recovery (blue) > serviceable (green)
 function deriveStatusTag(entry) {
@@ -132,6 +171,31 @@ function deriveStatusTag(entry) {
   return "serviceable";
 }
 
+function firstDefectLine(entry) {
+  if (!entry) return "";
+  const inTitle = (entry.title.match(/defect:\s*(.*)/i) || [])[1];
+  if (inTitle) return inTitle.trim();
+  const note = entry.notes.find((n) => /^defect:/i.test(n));
+  if (note) return note.replace(/^defect:\s*/i, "").trim();
+  return entry.title.split(" - ").slice(1).join(" - ");
+}
+
+// Every defect in an entry for recurrence / MTTR checks: [{ text, system, workcenter }].
+// "Defect:" notes first; otherwise firstDefectLine() when it is more than a bare status word.
+// `system` / `workcenter` are the notes the Generator copies from the Telegram message, if any.
+function entryDefects(entry) {
+  if (!entry) return [];
+  const noteValue = (label) =>
+    (entry.notes.find((n) => new RegExp(`^${label}:`, "i").test(n)) || "").replace(/^[^:]*:\s*/, "").trim();
+  const system = noteValue("system");
+  const workcenter = noteValue("workcenter");
+  const notes = entry.notes.filter((n) => /^defect:/i.test(n)).map((n) => n.replace(/^defect:\s*/i, "").trim());
+  const texts = notes.length ? notes : [firstDefectLine(entry)];
+  return texts
+    .filter((t) => t && !/^(?:s|gr|g\/r|u\/s|us|aog|nil|defect|rect(?:ification)?)$/i.test(t.trim()))
+    .map((text) => ({ text, system, workcenter }));
+}
+
 // Map status tag to Tailwind classes
 function statusToClasses(tag) {
   switch (tag) {
@@ -162,63 +226,133 @@ function statusLabel(tag) {
   }
 }
 
-// Parse Night Report source text into a map keyed by code ("S1", "F2", ...)
-function parseReport(text) {
+// U/S duration and ETR countdown for a non-serviceable entry, as of `asOf` (epoch ms).
+// { usFor, etrIn } are ms or null (unparseable / TBC); etrIn < 0 means the ETR has passed.
+function entryTiming(entry, asOf) {
+  if (!entry || entry.tag === "serviceable") return null;
+  const inputTs = entry.inputAt?.ts ?? null;
+  const etrTs = entry.etrAt?.ts ?? null;
+  return {
+    usFor: inputTs != null && asOf >= inputTs ? asOf - inputTs : null,
+    etrIn: etrTs != null ? etrTs - asOf : null,
+    breached: etrTs != null && asOf > etrTs,
+  };
+}
+
+// Parse Night Report source text into a map keyed by code ("S1", "F2", ...),
+// plus line-level diagnostics for the editor lint panel:
+// { entries, diagnostics: [{ line, severity: "error" | "warning", message }] }
+// Line numbers are 1-based and match the source textarea.
+// Each entry keeps the raw `input`/`etr` strings and their parsed values in
+// `inputAt`/`etrAt` (see utils/datetime), resolved against the report date.
+function parseReportDetailed(text, reportISO, fleet = DEFAULT_FLEET) {
   const lines = (text || "")
     .replace(/\r/g, "")
     .split("\n")
     .map((l) => l.trim());
   const entries = {};
+  const diagnostics = [];
+  const headerLines = {}; // code -> line number of its (last) header
   let current = null;
 
-  // Headers like "*S2 - GR", "S0  - Major Serv (...)", "*F2 - S"
-  const header = /^[>*\s-]*\*?\s*([SF]\d)\s*-\s*(.+)$/i;
+  const knownCodes = new Set(activeFleet(fleet).map((t) => t.code));
+  const report = (line, severity, message) => diagnostics.push({ line, severity, message });
+
+  // Headers like "*S2 - GR", "S0  - Major Serv (...)", "*F2 - S", "^F3 - S"
+  const header = /^[>*^\s-]*\s*([SF]\d)\s*-\s*(.+)$/i;
+
+  // Near-misses that the parser would otherwise drop without a trace
+  const nearHeader = /^[>*^\s-]*([SF]\d)\s*(?:[–—−:]\s*|\s+)(?!,)\S/i; // "S3 – GR", "S3: GR", "S3 GR"
+  // Before the first header only a dash/colon after the code looks like a header; the preamble
+  // has lines like "S3 1300-1500 G/R" (Healing) that are not
+  const nearPreambleHeader = /^[>*^\s-]*([SF]\d)\s*[–—−:]\s*\S/i;
+  const nearField = /^(Input|ETR)\b/i; // "ETR 15 Aug", "Input - 1300H"
+  const headerHint = (code, line) => {
+    const c = code.toUpperCase();
+    const dash = /[–—−]/.test(line) ? " (use a plain hyphen, not a dash)" : "";
+    return `Looks like a ${c} header but is not in "${c} - ..." form${dash}; line ignored.`;
+  };
 
-  for (const line of lines) {
+  for (let idx = 0; idx < lines.length; idx++) {
+    const line = lines[idx];
+    const lineNo = idx + 1;
     if (!line) continue;
 
     const h = header.exec(line);
     if (h) {
       const code = h[1].toUpperCase();
       const tail = h[2].trim();
+      if (entries[code]) {
+        report(lineNo, "error", `Duplicate header for ${code} (first at line ${headerLines[code]}); this block replaces the earlier one.`);
+      } else if (!knownCodes.has(code)) {
+        report(lineNo, "warning", `${code} is not one of the fleet tails (${[...knownCodes].join(", ")}); it will not show on a card.`);
+      }
       entries[code] = {
         code,
         title: `${code} - ${tail}`,
         input: "",
         etr: "",
         notes: [],
+        marker: line.slice(0, line.search(/[SF]\d/i)), // e.g. "*" before the code
+        eoss: markerEoss(line.slice(0, line.search(/[SF]\d/i))), // "S" | "U/S" | null (EOSS TU fitted)
+        lines: { start: lineNo, end: lineNo },           // source block (1-based, inclusive)
       };
+      headerLines[code] = lineNo;
       current = code;
       continue;
     }
 
-    if (!current) continue;
+    if (!current) {
+      // Preamble (date, 'S' birds, Fishing, Healing...) is free text; only flag malformed headers.
+      const nh = nearPreambleHeader.exec(line);
+      if (nh) {
+        report(lineNo, "error", headerHint(nh[1], line));
+      }
+      continue;
+    }
 
     // Known fields
     const mInput = /^Input:\s*(.+)$/i.exec(line);
     if (mInput) {
       entries[current].input = mInput[1].trim();
+      entries[current].lines.end = lineNo;
       continue;
     }
     const mEtr = /^ETR:\s*(.+)$/i.exec(line);
     if (mEtr) {
       entries[current].etr = mEtr[1].trim();
+      entries[current].lines.end = lineNo;
       continue;
     }
 
     // Bulleted notes or "Requirements" marker
     if (/^>/.test(line)) {
       entries[current].notes.push(line.replace(/^>\s*/, ""));
+      entries[current].lines.end = lineNo;
       continue;
     }
     if (/^-/.test(line)) {
       entries[current].notes.push(line.replace(/^-+\s*/, ""));
+      entries[current].lines.end = lineNo;
       continue;
     }
     if (/^Requirements$/i.test(line)) {
       entries[current].notes.push("Requirements:");
+      entries[current].lines.end = lineNo;
       continue;
     }
+
+    // Anything else inside a tail block is dropped by the parser
+    const nh = nearHeader.exec(line);
+    const nf = nearField.exec(line);
+    if (nh && !/^[SF]\d\s*,/i.test(line)) {
+      report(lineNo, "error", headerHint(nh[1], line));
+    } else if (nf) {
+      const field = /^etr$/i.test(nf[1]) ? "ETR" : "Input";
+      report(lineNo, "error", `Looks like an ${field} field but is not in "${field}: ..." form; line ignored.`);
+    } else {
+      report(lineNo, "warning", `Unrecognised line under ${current}; start it with "-" or ">" to keep it as a note.`);
+    }
   }
 
   // Promote ETR from notes (if present) and attach status tag
@@ -229,9 +363,89 @@ function parseReport(text) {
       if (ln) e.etr = ln.replace(/^ETR\s*:\s*/i, "").trim();
     }
     e.tag = deriveStatusTag(e);
+    e.inputAt = parseDateTime(e.input, reportISO, { role: "start" });
+    e.etrAt = parseDateTime(e.etr, reportISO, { role: "end" });
+
+    if ((e.tag === "rectification" || e.tag === "aog") && !e.etr) {
+      report(headerLines[k], "warning", `${k} is U/S but has no ETR.`);
+    }
+  });
+
+  diagnostics.sort((a, b) => a.line - b.line);
+  return { entries, diagnostics };
+}
+
+/* =========================
+   Night Report serializer (inverse of parseReportDetailed)
+   ========================= */
+
+// Quick picks for the header text after "S2 - "
+const TITLE_PRESETS = ["S", "GR", "U/S", "AOG", "Major Serv", "Post phase rcv"];
+
+// Split a parsed entry into the fields of the per-tail editor form
+function entryToForm(code, entry) {
+  const form = {
+    code,
+    marker: entry?.marker ?? "",
+    titleTail: entry ? entry.title.split(" - ").slice(1).join(" - ") : "S",
+    input: entry?.input || "",
+    etr: entry?.etr || "",
+    defect: "",
+    rect: "",
+    requirements: "",
+    notes: "",
+  };
+  const notes = [];
+  const reqs = [];
+  let inReq = false;
+  (entry?.notes || []).forEach((n) => {
+    if (/^Requirements:$/i.test(n)) { inReq = true; return; }
+    if (inReq) { reqs.push(n); return; }
+    if (!form.defect && /^defect:/i.test(n)) { form.defect = n.replace(/^defect:\s*/i, ""); return; }
+    if (!form.rect && /^rect:/i.test(n)) { form.rect = n.replace(/^rect:\s*/i, ""); return; }
+    // ETR promoted from notes is serialized as a field instead
+    if (/^ETR\s*:/i.test(n) && n.replace(/^ETR\s*:\s*/i, "").trim() === entry.etr) return;
+    notes.push(n);
   });
+  form.requirements = reqs.join("\n");
+  form.notes = notes.join("\n");
+  return form;
+}
+
+// Render an editor form as a Night Report block in the canonical format:
+//   *S2 - GR / Input: / ETR: / blank / - Defect: / > Rect: / > notes / Requirements / - G/R / > items
+// parseReportDetailed() on the result gives back the same fields.
+function serializeEntry(form) {
+  const splitLines = (t) => (t || "").split("\n").map((l) => l.trim()).filter(Boolean);
+  const lines = [`${form.marker || ""}${form.code} - ${(form.titleTail || "").trim() || "S"}`];
+  if (form.input.trim()) lines.push(`Input: ${form.input.trim()}`);
+  if (form.etr.trim()) lines.push(`ETR: ${form.etr.trim()}`);
+
+  const body = [];
+  if (form.defect.trim()) body.push(`- Defect: ${form.defect.trim()}`);
+  if (form.rect.trim()) body.push(`> Rect: ${form.rect.trim()}`);
+  splitLines(form.notes).forEach((n) => body.push(`> ${n}`));
+  const reqs = splitLines(form.requirements);
+  if (reqs.length) {
+    body.push("Requirements");
+    // Group heads (G/R, FCF) are dashes; their items are chevrons
+    reqs.forEach((r) => body.push(/^(G\/?R(un)?|FCF)\b/i.test(r) ? `- ${r}` : `> ${r}`));
+  }
+  if (body.length) lines.push("", ...body);
+  return lines.join("\n");
+}
 
-  return entries;
+// Replace one tail's block in the report text (or append it if the tail has none yet),
+// leaving every other line untouched.
+function replaceReportBlock(text, entry, blockText) {
+  const src = (text || "").split("\n");
+  const block = blockText.split("\n");
+  if (!entry?.lines) {
+    while (src.length && !src[src.length - 1].trim()) src.pop();
+    return [...src, ...(src.length ? [""] : []), ...block, ""].join("\n");
+  }
+  src.splice(entry.lines.start - 1, entry.lines.end - entry.lines.start + 1, ...block);
+  return src.join("\n");
 }
 
 // Utilities for date formatting
@@ -258,6 +472,8 @@ function formatDayHeader(iso) {
 /* =========================
    Telegram defects parsing
    ========================= */
+// Returns { code: [defectRecord, ...] } — one record per defect message, in paste order,
+// so a tail with two separate snags keeps both.
 function parseTelegramDefects(text) {
   const blocks = (text || "")
     .replace(/\r/g, "")
@@ -267,7 +483,11 @@ function parseTelegramDefects(text) {
 
   const byCode = {};
   let current = null;
-  const pushCurrent = () => { if (current && current.code) byCode[current.code] = current; };
+  const pushCurrent = () => {
+    if (!current || !current.code) return;
+    if (!byCode[current.code]) byCode[current.code] = [];
+    byCode[current.code].push(current);
+  };
 
   for (const b of blocks) {
     const codeLine = b.match(/^\s*([FS]\d)\s*$/im);
@@ -277,7 +497,7 @@ function parseTelegramDefects(text) {
   }
   pushCurrent();
 
-  Object.values(byCode).forEach((rec) => {
+  Object.values(byCode).flat().forEach((rec) => {
     const all = rec.lines.join("\n\n");
     const get = (re) => (all.match(re)?.[1] || "").trim();
 
@@ -317,6 +537,7 @@ function parseTelegramDefects(text) {
    ========================= */
 function parseHOTO(text) {
   const out = {
+    preamble: [], // title lines before the first section (e.g. "08/08 PM HOTO")
     completed: {},
     outstanding: {},
     extra: {
@@ -397,16 +618,144 @@ function parseHOTO(text) {
     } else if (section && section in out.extra) {
       const clean = line.replace(/^[-•]\s*/, "").replace(/^>\s*/, "").trim();
       out.extra[section].push(clean);
+    } else if (!section) {
+      out.preamble.push(line);
     }
   }
 
   return out;
 }
 
+// Carried-over HOTO sections, in handover order, with the headers parseHOTO() recognises
+const HOTO_EXTRA_SECTIONS = [
+  ["proj14", "• 14D SERV PROJECTION"],
+  ["proj28", "• 28D SERV PROJECTION"],
+  ["proj56", "• 56D SERV PROJECTION"],
+  ["proj112", "• 112D SERV PROJECTION"],
+  ["proj112150", "• 112D/150Hrly PROJECTION"],
+  ["proj180", "• 180D SERV PROJECTION"],
+  ["eoss", "■ EOSS Status"],
+  ["mee", "■ MEE"],
+  ["bru", "■ BRU Status"],
+  ["probe", "■ Probe Status"],
+  ["aom", "● AOM"],
+  ["lessons", "● Lesson learnt"],
+];
+
+// Render a HOTO in the 🟩/🟥/•/■/● format parseHOTO() reads.
+// `completed` is { code: [item] }, `outstanding` is { code: { tag, items } }, both written in
+// their key order (the order the tails were pasted in); items keep their "> " prefix for
+// sub-points, everything else becomes "- item". Carried-over sections with no lines are left out.
+function serializeHOTO({ preamble = [], completed = {}, outstanding = {}, extra = {} }) {
+  const itemLine = (t) => (t.startsWith("> ") ? t : `- ${t}`);
+  const lines = [];
+  if (preamble.length) lines.push(...preamble, "");
+
+  lines.push("🟩 Job Completed");
+  const doneCodes = Object.keys(completed).filter((c) => completed[c]?.length);
+  if (!doneCodes.length) lines.push("Nil");
+  doneCodes.forEach((code) => {
+    lines.push(code, ...completed[code].map(itemLine), "");
+  });
+  if (!doneCodes.length) lines.push("");
+
+  lines.push("🟥 Outstanding");
+  const openCodes = Object.keys(outstanding).filter((c) => outstanding[c]?.items?.length);
+  if (!openCodes.length) lines.push("Nil");
+  openCodes.forEach((code) => {
+    const { tag, items } = outstanding[code];
+    lines.push(tag ? `${code} (${tag})` : code, ...items.map(itemLine), "");
+  });
+  if (!openCodes.length) lines.push("");
+
+  HOTO_EXTRA_SECTIONS.forEach(([key, title]) => {
+    if (extra[key]?.length) lines.push(title, ...extra[key], "");
+  });
+
+  while (lines.length && !lines[lines.length - 1]) lines.pop();
+  return lines.join("\n");
+}
+
+// Replace the body of one ■/● HOTO section (header kept), or append the section if missing;
+// every other line is left as typed.
+function replaceHotoSection(text, key, body) {
+  const [, title] = HOTO_EXTRA_SECTIONS.find(([k]) => k === key);
+  const src = (text || "").replace(/\r/g, "").split("\n");
+  const squash = (l) => l.replace(/\s+/g, "").toLowerCase();
+  const start = src.findIndex((l) => squash(l).startsWith(squash(title)));
+  if (start < 0) {
+    while (src.length && !src[src.length - 1].trim()) src.pop();
+    return [...src, ...(src.length ? [""] : []), title, ...body, ""].join("\n");
+  }
+  let end = start + 1;
+  while (end < src.length && !/^([•■●])\s|^🟩|^🟥/.test(src[end].trim())) end++;
+  src.splice(start + 1, end - start - 1, ...body, ...(end < src.length ? [""] : []));
+  return src.join("\n");
+}
+
+// A saved document's equipment registers: its own (saved once edited), else read from its HOTO
+// text. A kind is null when the document says nothing about it (no section lines, not even "Nil").
+function docRegisters(d, fleet) {
+  if (d.equipment) return Object.fromEntries(REGISTER_KINDS.map(([k]) => [k, d.equipment[k] || []]));
+  const extra = parseHOTO(d.hotoRaw || "").extra;
+  return Object.fromEntries(REGISTER_KINDS.map(([k]) => [k, extra[k]?.length ? parseRegister(extra[k], fleet) : null]));
+}
+
+/* =========================
+   Report revisions
+   ========================= */
+
+// Report document fields a revision keeps (and a restore writes back)
+const REPORT_DOC_KEYS = [
+  "title",
+  "raw",
+  "hotoRaw",
+  "hotoTicks",
+  "hotoDone",
+  "hotoItems",
+  "rtsDailyRaw",
+  "rtsWeekRaw",
+  "rtsProfileTicks",
+  "servicingRows",
+  "equipment",
+];
+
+// What the revision diff compares, in display order
+const REVISION_FIELDS = [
+  ["raw", "Night Report"],
+  ["hotoRaw", "HOTO"],
+  ["rtsDailyRaw", "Daily RTS"],
+  ["rtsWeekRaw", "Weekly RTS"],
+  ["servicingRows", "Servicing"],
+];
+
+// A revision field as diffable text (servicing rows one per line)
+function revisionText(rev, key) {
+  if (key !== "servicingRows") return rev?.[key] || "";
+  return (rev?.servicingRows || [])
+    .map((r) =>
+      [
+        r.tail || "—",
+        r.type,
+        `due ${r.dueDate || "—"}`,
+        `in ${r.inputDate || "—"}`,
+        `out ${r.outputDate || "—"}`,
+        r.advExtRequired && r.advExtRequired !== "None" ? `${r.advExtRequired}${r.advExtApproved ? " (approved)" : ""}` : "",
+        r.remarks,
+      ]
+        .filter(Boolean)
+        .join(" · ")
+    )
+    .join("\n");
+}
+
 /* =========================
    RTS parsing (Daily + Weekly)
    ========================= */
 
+// "13 Aug 25 (Wed)" → { iso, label, day, month, year, weekday }
+// year is null when the header has none (iso then falls back to the current year);
+// weekday (0 = Sun) comes from the bracketed day name, if any.
 function parseDateHeader(header) {
   const months = {
     jan: 0, january: 0,
@@ -426,15 +775,17 @@ function parseDateHeader(header) {
   const line = (header || "").replace(/[^\w\s()/-]/g, "").trim();
   const m = line.match(/^(\d{1,2})\s+([A-Za-z]{3,9})(?:\s+(\d{2,4}))?/);
   if (!m) {
-    return { iso: null, label: header.trim() || "—" };
+    return { iso: null, label: header.trim() || "—", day: null, month: null, year: null, weekday: null };
   }
   const dd = parseInt(m[1], 10);
   const monName = m[2].toLowerCase();
   const mmIndex = months[monName];
   let yyyy;
+  let explicitYear = null;
   if (m[3]) {
     const yr = parseInt(m[3], 10);
     yyyy = yr < 100 ? (2000 + yr) : yr;
+    explicitYear = yyyy;
   } else {
     yyyy = new Date().getFullYear();
   }
@@ -442,15 +793,27 @@ function parseDateHeader(header) {
     ? `${yyyy}-${String(mmIndex + 1).padStart(2, "0")}-${String(dd).padStart(2, "0")}`
     : null;
 
-  return { iso, label: line.replace(/\s+\d{4}$/, "").trim() || header.trim() };
+  const wk = line.match(/\(\s*(sun|mon|tue|wed|thu|fri|sat)[a-z]*\s*\)/i);
+  const weekday = wk ? ["sun", "mon", "tue", "wed", "thu", "fri", "sat"].indexOf(wk[1].toLowerCase()) : null;
+
+  return {
+    iso,
+    label: line.replace(/\s+\d{4}$/, "").trim() || header.trim(),
+    day: dd,
+    month: mmIndex ?? null,
+    year: explicitYear,
+    weekday,
+  };
 }
 
 function splitWeekIntoDays(text) {
   const lines = (text || "").replace(/\r/g, "").split("\n");
   const idxs = [];
   const dayRe = /^\s*\d{1,2}\s+[A-Za-z]{3,9}(?:\s+\d{2,4})?\s*(?:\([^)]+\))?/;
+  const rangeRe = /^\s*\d{1,2}\s+[A-Za-z]{3,9}(?:\s+\d{2,4})?\s*[-–]\s*\d{1,2}\s+[A-Za-z]{3,9}/; // "11 Aug - 15 Aug RTS" title
   for (let i = 0; i < lines.length; i++) {
-    if (dayRe.test(lines[i].trim())) idxs.push(i);
+    const s = lines[i].trim();
+    if (dayRe.test(s) && !rangeRe.test(s)) idxs.push(i);
   }
   const blocks = [];
   for (let k = 0; k < idxs.length; k++) {
@@ -469,7 +832,7 @@ function parseSection(lines, startIdx, nextHeaders) {
   for (; i < lines.length; i++) {
     const s = lines[i].trim();
     if (!s) { out.push(""); continue; }
-    if (guard.test(s)) break;
+    if (nextHeaders.length && guard.test(s)) break; // an empty list would match every line
     out.push(s);
   }
   while (out.length && !out[out.length - 1].trim()) out.pop();
@@ -486,35 +849,44 @@ function parseMissionLine(ln) {
     const code = mStd[1].toUpperCase();
     const time = (mStd[2] || "").replace(/\s+/g, "");
     const rest = (mStd[3] || "").trim();
+    const text = [time, rest].filter(Boolean).join(" ");
     if (isSpareText || /^spare\b/i.test(rest)) {
-      return { type: "spare", code, label: `${code} Spare${rest.replace(/^spare/i, "") ? " " + rest.replace(/^spare/i, "").trim() : ""}`.trim() };
+      return { type: "spare", code, label: `${code} Spare${rest.replace(/^spare/i, "") ? " " + rest.replace(/^spare/i, "").trim() : ""}`.trim(), ...missionDetails(text) };
     }
-    const text = [time, rest].filter(Boolean).join(" ");
-    return { type: "mission", code, label: text || code };
+    return { type: "mission", code, label: text || code, ...missionDetails(text) };
   }
 
   const mAsSpare = s.match(/^([FS]\d).*?\bspare\b/i);
   if (mAsSpare && !/\bspare\s*window\b/i.test(s)) {
     const code = mAsSpare[1].toUpperCase();
-    return { type: "spare", code, label: s };
+    return { type: "spare", code, label: s, ...missionDetails(s.slice(code.length)) };
   }
 
   if (/^nil\s*spare/i.test(s)) {
-    return { type: "spare", code: null, label: "Nil Spare" };
+    return { type: "spare", code: null, label: "Nil Spare", ...missionDetails("") };
   }
 
   if (/^(BMD|RSD)\b/i.test(s)) {
-    return { type: "mission", code: null, label: s };
+    return { type: "mission", code: null, label: s, ...missionDetails(s) };
   }
 
   return null;
 }
 
+// Chip tooltip: window length and what each mission-type code means
+function missionTitle(m) {
+  const parts = [];
+  if (m.duration != null) parts.push(`${(m.duration / 60).toFixed(1)} h`);
+  (m.types || []).forEach((t) => parts.push(`${t} = ${describeMissionType(t).name}`));
+  (m.remarks || []).forEach((r) => parts.push(`(${r})`));
+  return parts.join(" · ") || undefined;
+}
+
 function parseHealingLine(ln) {
   const s = (ln || "").trim();
   if (!s || /^nil$/i.test(s)) return [];
   const m = s.match(/^([FS]\d)\s*:?\s*(.+)$/i);
-  if (!m) return [{ code: null, label: s }];
+  if (!m) return [{ code: null, label: s, ...missionDetails(s) }];
 
   const code = m[1].toUpperCase();
   const rhs = m[2].trim();
@@ -529,10 +901,13 @@ function parseHealingLine(ln) {
     lastIndex = timeRe.lastIndex;
   }
   if (times.length === 0) {
-    return [{ code, label: rhs }];
+    return [{ code, label: rhs, ...missionDetails(rhs) }];
   }
   const trailing = rhs.slice(lastIndex).trim();
-  const items = times.map((t) => ({ code, label: trailing ? `${t} ${trailing}` : t }));
+  const items = times.map((t) => {
+    const label = trailing ? `${t} ${trailing}` : t;
+    return { code, label, ...missionDetails(label) };
+  });
   return items;
 }
 
@@ -626,17 +1001,82 @@ function parseRTSDaily(text) {
     i++;
   }
 
-  return { dateISO: iso, dateLabel: label, missions, spares, healing, hot, cold, ops, notes };
+  const refuels = [
+    ...hot.flatMap((ln) => parseRefuelLine(ln, "hot")),
+    ...cold.flatMap((ln) => parseRefuelLine(ln, "cold")),
+  ];
+  const opsTimes = ops.flatMap(parseClockTimes);
+  const testProfiles = parseTestProfiles(notes);
+
+  return { dateISO: iso, dateLabel: label, missions, spares, healing, hot, cold, ops, notes, refuels, opsTimes, testProfiles };
+}
+
+// Weekly plan title ("11 Aug - 15 Aug RTS", "29 Dec 25 - 4 Jan 26") → the two date headers, or null
+function parseWeekRange(text) {
+  const first = (text || "").replace(/\r/g, "").split("\n").map((l) => l.trim()).find(Boolean) || "";
+  const m = first.match(/^(\d{1,2}\s+[A-Za-z]{3,9}(?:\s+\d{2,4})?)\s*[-–]\s*(\d{1,2}\s+[A-Za-z]{3,9}(?:\s+\d{2,4})?)/);
+  if (!m) return null;
+  const from = parseDateHeader(m[1]);
+  const to = parseDateHeader(m[2]);
+  return from.month != null && to.month != null ? { from, to } : null;
+}
+
+function headerDate(h, year) {
+  return new Date(year, h.month, h.day);
+}
+
+// Fill in missing years on a run of parsed date headers (in plan order).
+// Anchor on the first header with an explicit year — else the year (around today) that matches
+// its weekday, else the nearest one — then give every other header the year that puts it
+// closest to its neighbour, so "29 Dec … 4 Jan" rolls over.
+function resolveWeekYears(heads) {
+  const years = heads.map((h) => h.year);
+  let a = heads.findIndex((h) => h.month != null && h.year != null);
+  if (a < 0) {
+    a = heads.findIndex((h) => h.month != null);
+    if (a < 0) return years;
+    const h = heads[a];
+    const today = new Date();
+    const y = today.getFullYear();
+    const cands = [y, y - 1, y + 1].sort((p, q) => Math.abs(headerDate(h, p) - today) - Math.abs(headerDate(h, q) - today));
+    years[a] = (h.weekday != null && cands.find((c) => headerDate(h, c).getDay() === h.weekday)) || cands[0];
+  }
+  const nearest = (h, ref) =>
+    [ref.getFullYear() - 1, ref.getFullYear(), ref.getFullYear() + 1].reduce((best, c) =>
+      Math.abs(headerDate(h, c) - ref) < Math.abs(headerDate(h, best) - ref) ? c : best
+    );
+  const fill = (from, to, step) => {
+    let ref = headerDate(heads[a], years[a]);
+    for (let i = from; i !== to; i += step) {
+      const h = heads[i];
+      if (h.month == null) continue;
+      if (years[i] == null) years[i] = nearest(h, ref);
+      ref = headerDate(h, years[i]);
+    }
+  };
+  fill(a + 1, heads.length, 1);
+  fill(a - 1, -1, -1);
+  return years;
 }
 
-function parseRTSWeek(text) {
+const isoOf = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Weekly RTS → { days: [parseRTSDaily()-shaped day], issues: [{ severity, message, day }] }
+// Issues: unreadable date headers, weekday not matching the date, duplicates, out-of-order days,
+// missing weekdays between two planned days (Sat/Sun gaps are normal), days outside the title range.
+function parseRTSWeekDetailed(text) {
   const blocks = splitWeekIntoDays(text);
-  if (!blocks.length) return [];
+  if (!blocks.length) return { days: [], issues: [] };
 
-  return blocks.map((chunk) => {
+  const heads = blocks.map((chunk) => parseDateHeader(chunk.split("\n")[0] || ""));
+  const years = resolveWeekYears(heads);
+
+  const days = blocks.map((chunk, idx) => {
     const lines = chunk.split("\n");
-    const header = lines[0] || "";
-    const { iso, label } = parseDateHeader(header);
+    const { label } = heads[idx];
+    const h = heads[idx];
+    const iso = h.month != null ? isoOf(headerDate(h, years[idx])) : null;
 
     let body = lines.slice(1).join("\n");
     const hasAnyHeader = /(RTS:|Healing|Notes|Hot|Cold|Ops Brief)/i.test(body);
@@ -645,8 +1085,83 @@ function parseRTSWeek(text) {
     }
 
     const parsed = parseRTSDaily(`${label}\n${body}`);
-    return parsed || { dateISO: iso, dateLabel: label, missions: [], spares: [], healing: [], hot: [], cold: [], ops: [], notes: [] };
+    return parsed
+      ? { ...parsed, dateISO: iso }
+      : { dateISO: iso, dateLabel: label, missions: [], spares: [], healing: [], hot: [], cold: [], ops: [], notes: [], refuels: [], opsTimes: [], testProfiles: {} };
+  });
+
+  const issues = [];
+  const seen = {};
+  let prev = null;
+  days.forEach((day, idx) => {
+    const h = heads[idx];
+    if (!day.dateISO) {
+      issues.push({ severity: "warn", day: idx, message: `Can’t read a date from “${day.dateLabel}”.` });
+      return;
+    }
+    const d = new Date(`${day.dateISO}T00:00:00`);
+    if (h.weekday != null && d.getDay() !== h.weekday) {
+      issues.push({
+        severity: "warn",
+        day: idx,
+        message: `${day.dateLabel}: ${formatDayHeader(day.dateISO).replace(/\s*\(.*\)$/, "")} ${d.getFullYear()} is a ${
+          WEEKDAY_NAMES[d.getDay()]
+        }, not a ${WEEKDAY_NAMES[h.weekday]}.`,
+      });
+    }
+    if (seen[day.dateISO] != null) {
+      issues.push({ severity: "error", day: idx, message: `${formatDayHeader(day.dateISO)} is planned twice.` });
+      return;
+    }
+    seen[day.dateISO] = idx;
+    if (prev) {
+      const gap = Math.round((d - prev) / 86400000);
+      if (gap < 0) {
+        issues.push({
+          severity: "error",
+          day: idx,
+          message: `${formatDayHeader(day.dateISO)} comes after ${formatDayHeader(isoOf(prev))} — days are out of order.`,
+        });
+      } else if (gap > 1) {
+        const missing = [];
+        for (let k = 1; k < gap; k++) {
+          const m = new Date(prev.getFullYear(), prev.getMonth(), prev.getDate() + k);
+          if (m.getDay() !== 0 && m.getDay() !== 6) missing.push(formatDayHeader(isoOf(m)));
+        }
+        if (missing.length) {
+          issues.push({ severity: "warn", day: idx, message: `No plan for ${missing.join(", ")}.` });
+        }
+      }
+    }
+    if (!prev || d > prev) prev = d;
   });
+
+  // Days outside the title range ("11 Aug - 15 Aug RTS")
+  const range = parseWeekRange(text);
+  if (range) {
+    const firstDay = days.find((x) => x.dateISO);
+    const ref = firstDay ? new Date(`${firstDay.dateISO}T00:00:00`) : new Date();
+    const pick = (h) =>
+      h.year ?? [ref.getFullYear() - 1, ref.getFullYear(), ref.getFullYear() + 1].reduce((best, c) =>
+        Math.abs(headerDate(h, c) - ref) < Math.abs(headerDate(h, best) - ref) ? c : best
+      );
+    const from = headerDate(range.from, pick(range.from));
+    let to = headerDate(range.to, pick(range.to));
+    if (to < from) to = headerDate(range.to, from.getFullYear() + 1);
+    days.forEach((day, idx) => {
+      if (!day.dateISO) return;
+      const d = new Date(`${day.dateISO}T00:00:00`);
+      if (d < from || d > to) {
+        issues.push({
+          severity: "warn",
+          day: idx,
+          message: `${formatDayHeader(day.dateISO)} is outside the plan’s ${formatDayHeader(isoOf(from))} – ${formatDayHeader(isoOf(to))} range.`,
+        });
+      }
+    });
+  }
+
+  return { days, issues };
 }
 
 /* =========================
@@ -708,12 +1223,102 @@ function dLabel(dateISO) {
   return d > 0 ? `D-${d}` : `D+${Math.abs(d)}`;
 }
 
+/* =========================
+   Tail history (all saved reports)
+   ========================= */
+// Solid colours for the day strip (statusToClasses() is the pale card variant)
+const STATUS_DOT = {
+  serviceable: "bg-green-500",
+  rectification: "bg-red-500",
+  "in-phase": "bg-orange-500",
+  recovery: "bg-blue-500",
+  aog: "bg-purple-500",
+};
+
+// SVG fills for the availability chart ("none" = tail not on that night's report)
+const STATUS_FILL = {
+  serviceable: "fill-green-500",
+  rectification: "fill-red-500",
+  "in-phase": "fill-orange-500",
+  recovery: "fill-blue-500",
+  aog: "fill-purple-500",
+  none: "fill-gray-200",
+};
+
+// Whether an outstanding item was moved to Completed (hotoDone entries: { id, text }, older docs: text)
+function isMovedItem(hotoDone, item) {
+  return !!hotoDone?.[item.code]?.some((d) => (typeof d === "string" ? d === item.text : d.id === item.id));
+}
+
+// One tail across saved documents (newest first, as in cloudDocs).
+// Returns {
+//   strip: [{ date, tag }]                      — every saved date, oldest first ("none" = not on the report)
+//   days:  [{ date, entry, hotoOutstanding, hotoCompleted, rts: [{ kind, label }], profiles, servicing }]
+//          newest first; only dates with something for this tail
+// }
+// Servicing rows are copied into every saved document, so the newest document's rows are used and
+// shown on their input / output / due dates.
+function buildTailHistory(docs, tail, fleet) {
+  const { id, code } = tail;
+  const byDate = {};
+  const day = (date) =>
+    byDate[date] ||
+    (byDate[date] = { date, entry: null, hotoOutstanding: [], hotoCompleted: [], rts: [], profiles: [], servicing: [] });
+  const strip = [];
+
+  (docs || []).forEach((d) => {
+    const entry = d.raw ? parseReportDetailed(d.raw, d.id, fleet).entries[code] || null : null;
+    strip.push({ date: d.id, tag: entry?.tag || "none" });
+    if (entry) day(d.id).entry = entry;
+
+    if (d.hotoRaw) {
+      const h = parseHOTO(d.hotoRaw);
+      // Items moved to Completed are stored as { id, text } (older docs: plain text)
+      const moved = ((d.hotoDone || {})[code] || []).map((x) => (typeof x === "string" ? x : x.text));
+      const out = (h.outstanding[code]?.items || []).filter((t) => !moved.includes(t));
+      const done = [...(h.completed[code] || []), ...moved];
+      if (out.length) day(d.id).hotoOutstanding = out;
+      if (done.length) day(d.id).hotoCompleted = [...new Set(done)];
+    }
+
+    if (d.rtsDailyRaw) {
+      const r = parseRTSDaily(d.rtsDailyRaw);
+      const rts = [
+        ...r.missions.filter((m) => m.code === code).map((m) => ({ kind: "mission", label: m.label })),
+        ...r.spares.filter((m) => m.code === code).map((m) => ({ kind: "spare", label: m.label })),
+        ...r.healing.filter((m) => m.code === code).map((m) => ({ kind: "healing", label: m.label })),
+      ];
+      if (rts.length) day(d.id).rts = rts;
+      if (r.testProfiles[code]) day(d.id).profiles = r.testProfiles[code];
+    }
+  });
+
+  const rows = (docs || []).find((d) => Array.isArray(d.servicingRows))?.servicingRows || [];
+  rows
+    .filter((r) => String(r.tail || "").trim().toUpperCase() === String(id) || String(r.tail || "").trim().toUpperCase() === code)
+    .forEach((r) => {
+      [
+        [r.inputDate, "input"],
+        [r.outputDate, "output"],
+        [!r.inputDate && !r.outputDate ? r.dueDate : "", "due"],
+      ].forEach(([date, what]) => {
+        if (date) day(date).servicing.push({ what, row: r });
+      });
+    });
+
+  return {
+    strip: strip.sort((a, b) => a.date.localeCompare(b.date)),
+    days: Object.values(byDate).sort((a, b) => b.date.localeCompare(a.date)),
+  };
+}
+
 /* =========================
    App
    ========================= */
 export default function App() {
   // ========== Top-level UI state ==========
   const [detail, setDetail] = useState(null); // { id, code, entry } | null
+  const [detailForm, setDetailForm] = useState(null); // editable copy of detail (see entryToForm)
 
   // Complete redirect-based sign-in (e.g., Safari PWA)
   useEffect(() => {
@@ -744,23 +1349,103 @@ export default function App() {
   const [genHealing, setGenHealing] = useState("Nil");
   const [tgText, setTgText] = useState("");
 
+  // Telegram Desktop export (result.json) as a second defect source
+  const [tgExport, setTgExport] = useState(null); // { fileName, messages } | null
+  const [tgFrom, setTgFrom] = useState("");
+  const [tgTo, setTgTo] = useState("");
+  const [tgTicked, setTgTicked] = useState({}); // message id -> true/false once ticked/unticked by hand
+  const [tgTails, setTgTails] = useState({}); // message id -> tail code picked by hand (no tail found)
+
   // HOTO checker
   const [hotoRaw, setHotoRaw] = useState("");
   const hoto = useMemo(() => parseHOTO(hotoRaw), [hotoRaw]);
-  const [hotoTicks, setHotoTicks] = useState({}); // key `${code}|${text}` -> boolean
-  const [hotoDone, setHotoDone] = useState({}); // { code: [itemText, ...] } moved from Outstanding → Completed
-
-  function toggleTick(code, text) {
-    const key = `${code}|${text}`;
-    setHotoTicks((prev) => ({ ...prev, [key]: !prev[key] }));
+  const [hotoTicks, setHotoTicks] = useState({}); // item id -> boolean (older docs: `${code}|${text}`)
+  const [hotoDone, setHotoDone] = useState({}); // { code: [{ id, text }, ...] } moved from Outstanding → Completed (older docs: plain text)
+  const [hotoItems, setHotoItems] = useState({}); // stable item registry as saved, see utils/hotoItems
+  const hotoWorkingRef = useRef(null); // { saved, registry }: working registry since hotoItems last changed
+  const hotoSeedRef = useRef(null); // open date once its registry has been seeded (reset on every open)
+
+  // Outstanding items with stable ids, matched against the working registry so an unsaved item
+  // keeps its id (and its tick) while it is retyped. The registry (hotoIds.registry) is only
+  // written on save and only carries saved wordings in its history.
+  const hotoIds = useMemo(() => {
+    const working = hotoWorkingRef.current?.saved === hotoItems ? hotoWorkingRef.current.registry : hotoItems;
+    const ids = rebaseOnSaved(assignHotoItemIds(hoto.outstanding, working, selectedDate), hotoItems);
+    hotoWorkingRef.current = { saved: hotoItems, registry: ids.registry };
+    return ids;
+  }, [hoto.outstanding, hotoItems, selectedDate]);
+
+  function isTicked(item, ticks = hotoTicks) {
+    return !!(ticks[item.id] || ticks[`${item.code}|${item.text}`]);
+  }
+  function toggleTick(item) {
+    setHotoTicks((prev) => {
+      const next = { ...prev, [item.id]: !isTicked(item, prev) };
+      delete next[`${item.code}|${item.text}`];
+      return next;
+    });
   }
 
   // RTS inputs/state
+  // Fleet registry (settings/fleet in Firestore; built-in list until one is saved)
+  const [fleet, setFleet] = useState(DEFAULT_FLEET);
+  const [fleetMeta, setFleetMeta] = useState(null); // { updatedAt, savedBy } of the stored registry
+  const [fleetDraft, setFleetDraft] = useState(null); // rows being edited on the Settings tab
+  const fleetTails = useMemo(() => activeFleet(fleet), [fleet]);
+  const fleetCodes = useMemo(() => fleetTails.map((t) => t.code), [fleetTails]);
+
   const [rtsDailyRaw, setRtsDailyRaw] = useState("");
   const rtsDaily = useMemo(() => (rtsDailyRaw ? parseRTSDaily(rtsDailyRaw) : null), [rtsDailyRaw]);
+  const rtsTimeline = useMemo(
+    () => (rtsDaily ? buildRtsTimeline(rtsDaily, fleetCodes) : null),
+    [rtsDaily, fleetCodes]
+  );
+
+  // Test profile checklist (from per-tail Notes lines), ticks keyed by profileTickKey()
+  const [rtsProfileTicks, setRtsProfileTicks] = useState({});
+  function toggleProfileTick(code, item) {
+    const key = profileTickKey(code, item);
+    setRtsProfileTicks((prev) => ({ ...prev, [key]: !prev[key] }));
+  }
+  // Tails with a healing slot or test profiles, in fleet order
+  const healingTails = useMemo(() => {
+    if (!rtsDaily) return [];
+    const codes = new Set([
+      ...rtsDaily.healing.map((h) => h.code).filter(Boolean),
+      ...Object.keys(rtsDaily.testProfiles),
+    ]);
+    return [...codes]
+      .sort((a, b) => (fleetCodes.indexOf(a) + 1 || 99) - (fleetCodes.indexOf(b) + 1 || 99))
+      .map((code) => ({
+        code,
+        slots: rtsDaily.healing.filter((h) => h.code === code),
+        profiles: rtsDaily.testProfiles[code] || [],
+      }));
+  }, [rtsDaily, fleetCodes]);
+
+  // Refuel board: minimum minutes between two hot refuels before they are flagged (kept per browser)
+  const [refuelSeparation, setRefuelSeparation] = useState(() => {
+    const v = parseInt(localStorage.getItem("refuelSeparation") || "", 10);
+    return Number.isFinite(v) && v >= 0 ? v : 15;
+  });
+  useEffect(() => {
+    try { localStorage.setItem("refuelSeparation", String(refuelSeparation)); } catch { /* ignore */ }
+  }, [refuelSeparation]);
+  const refuelPlan = useMemo(
+    () => (rtsDaily ? refuelSchedule(rtsDaily.refuels, refuelSeparation) : null),
+    [rtsDaily, refuelSeparation]
+  );
 
   const [rtsWeekRaw, setRtsWeekRaw] = useState("");
-  const rtsWeek = useMemo(() => (rtsWeekRaw ? parseRTSWeek(rtsWeekRaw) : []), [rtsWeekRaw]);
+  const rtsWeekParse = useMemo(
+    () => (rtsWeekRaw ? parseRTSWeekDetailed(rtsWeekRaw) : { days: [], issues: [] }),
+    [rtsWeekRaw]
+  );
+  const rtsWeek = rtsWeekParse.days;
+  const rtsWeekSummary = useMemo(
+    () => (rtsWeek.length ? summarizeRtsWeek(rtsWeek, fleetCodes) : null),
+    [rtsWeek, fleetCodes]
+  );
 
   // Servicing rows
   const [servicingRows, setServicingRows] = useState(() => {
@@ -772,6 +1457,9 @@ export default function App() {
     }
   });
 
+  // MEE / BRU / Probe registers as saved (or edited) for this date; null = derive (see equipmentView)
+  const [equipment, setEquipment] = useState(null);
+
   // Calculator states
   const [calcBaseDate, setCalcBaseDate] = useState(getTodayISO());
   const calcRows = useMemo(() => {
@@ -822,6 +1510,7 @@ export default function App() {
 
   // ========== Firestore live data ==========
   const [cloudDates, setCloudDates] = useState([]); // history list
+  const [cloudDocs, setCloudDocs] = useState([]); // full saved documents ({ id, ...data }), newest first
   const docUnsubRef = useRef(null); // per-doc listener cleanup
 
   // Listen to collection of reports; keep newest first; optionally auto-follow newest
@@ -829,6 +1518,7 @@ export default function App() {
     const qy = query(collection(db, "reports"), orderBy("__name__"));
     const unsub = onSnapshot(qy, (snap) => {
       const docs = [];
+      const full = [];
       snap.forEach((d) => {
         const data = d.data() || {};
         docs.push({
@@ -837,10 +1527,13 @@ export default function App() {
           savedBy: data.savedBy || null,
           title: data.title || null,
         });
+        full.push({ id: d.id, ...data });
       });
 
       docs.sort((a, b) => b.id.localeCompare(a.id)); // newest first
+      full.sort((a, b) => b.id.localeCompare(a.id));
       setCloudDates(docs);
+      setCloudDocs(full);
 
       if (docs.length) {
         const newestId = docs[0].id;
@@ -856,6 +1549,71 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [followLatest, selectedDate]);
 
+  // Fleet registry: follow settings/fleet; keep the built-in list if it is missing or unreadable
+  useEffect(() => {
+    const unsub = onSnapshot(
+      doc(db, "settings", "fleet"),
+      (snap) => {
+        const data = snap.data();
+        setFleet(normalizeFleet(data?.tails));
+        setFleetMeta(data ? { updatedAt: data.updatedAt?.toDate?.() || null, savedBy: data.savedBy || null } : null);
+      },
+      (err) => console.error("Fleet registry listener error:", err)
+    );
+    return () => unsub();
+  }, []);
+
+  // Settings tab: edit a copy of the registry, then save it for everyone
+  const fleetRows = fleetDraft || fleet;
+  const fleetProblems = useMemo(() => (fleetDraft ? validateFleet(fleetDraft) : []), [fleetDraft]);
+  function updateFleetRow(idx, patch) {
+    setFleetDraft((prev) => (prev || fleet).map((t, i) => (i === idx ? { ...t, ...patch } : t)));
+  }
+  function moveFleetRow(idx, dir) {
+    setFleetDraft((prev) => {
+      const rows = [...(prev || fleet)];
+      const j = idx + dir;
+      if (j < 0 || j >= rows.length) return rows;
+      [rows[idx], rows[j]] = [rows[j], rows[idx]];
+      return rows.map((t, order) => ({ ...t, order }));
+    });
+  }
+  function addFleetRow() {
+    setFleetDraft((prev) => {
+      const rows = prev || fleet;
+      return [...rows, { id: "", code: "", type: "", active: true, order: rows.length }];
+    });
+  }
+  function removeFleetRow(idx) {
+    const t = fleetRows[idx];
+    if (!confirm(`Remove ${t.code || t.id || "this row"} from the fleet? (Untick “Active” instead to retire it but keep it on record.)`)) return;
+    setFleetDraft((prev) => (prev || fleet).filter((_, i) => i !== idx).map((r, order) => ({ ...r, order })));
+  }
+  async function saveFleet() {
+    if (!user) {
+      alert("Please sign in with Google to save.");
+      return;
+    }
+    if (!fleetDraft) return;
+    const problems = validateFleet(fleetDraft);
+    if (problems.length) {
+      alert(`Fix these first:\n${problems.join("\n")}`);
+      return;
+    }
+    try {
+      await setDoc(doc(db, "settings", "fleet"), {
+        tails: normalizeFleet(fleetDraft),
+        updatedAt: serverTimestamp(),
+        savedBy: user?.email || null,
+      });
+      setFleetDraft(null);
+      alert("Fleet saved.");
+    } catch (e) {
+      console.error(e);
+      alert(`Save failed. Reason: ${e?.code || "permission-denied"}`);
+    }
+  }
+
   // Cleanup the per-doc subscription when the component unmounts
   useEffect(() => {
     return () => {
@@ -867,6 +1625,7 @@ export default function App() {
   function loadCloudDate(date) {
     if (!date) return;
     setSelectedDate(date);
+    hotoSeedRef.current = null;
     if (docUnsubRef.current) docUnsubRef.current();
     const dref = doc(db, "reports", date);
     docUnsubRef.current = onSnapshot(
@@ -879,9 +1638,13 @@ export default function App() {
           setHotoRaw(data.hotoRaw || "");
           setHotoTicks(data.hotoTicks || {});
           setHotoDone(data.hotoDone || {});
+          if (data.hotoItems) setHotoItems(data.hotoItems);
+          else if (hotoSeedRef.current !== date) seedHotoItems(date);
           setRtsDailyRaw(data.rtsDailyRaw || "");
           setRtsWeekRaw(data.rtsWeekRaw || "");
+          setRtsProfileTicks(data.rtsProfileTicks || {});
           setServicingRows(data.servicingRows || []);
+          setEquipment(data.equipment || null);
         } else {
           // New/empty date
           setReportTitle("Night Report");
@@ -889,9 +1652,12 @@ export default function App() {
           setHotoRaw("");
           setHotoTicks({});
           setHotoDone({});
+          if (hotoSeedRef.current !== date) seedHotoItems(date);
           setRtsDailyRaw("");
           setRtsWeekRaw("");
+          setRtsProfileTicks({});
           setServicingRows([]);
+          setEquipment(null);
         }
       },
       (err) => {
@@ -900,6 +1666,23 @@ export default function App() {
     );
   }
 
+  // Start a date without an item registry from the previous saved night's, so item ids carry over.
+  // Runs once per opened date; a late answer for a date that is no longer open is dropped.
+  async function seedHotoItems(date) {
+    hotoSeedRef.current = date;
+    setHotoItems({});
+    try {
+      const qy = query(collection(db, "reports"), where("__name__", "<", date), orderBy("__name__", "desc"), limit(1));
+      const snap = await getDocs(qy);
+      const prev = snap.docs[0];
+      if (prev && hotoSeedRef.current === date) {
+        setHotoItems(carryForwardRegistry(prev.data()?.hotoItems, prev.id));
+      }
+    } catch (e) {
+      console.error("Could not load previous HOTO items:", e);
+    }
+  }
+
   // Save the current report (requires whitelisted Google email per your Firestore Rules)
   async function handleSave() {
     if (!user) {
@@ -907,21 +1690,30 @@ export default function App() {
       return;
     }
     try {
-      await setDoc(doc(db, "reports", selectedDate), {
+      const data = {
         title: reportTitle || "Night Report",
         raw,
         // HOTO
         hotoRaw,
         hotoTicks,
         hotoDone, // persist moves
+        hotoItems: hotoIds.registry, // stable item ids
         // RTS
         rtsDailyRaw,
         rtsWeekRaw,
+        rtsProfileTicks, // test profile checklist ticks
         // Servicing
         servicingRows,
+        // MEE / BRU / Probe registers
+        equipment, // null until the register table is edited (until then read from the HOTO text)
         updatedAt: serverTimestamp(),
         savedBy: user?.email || null,   // who saved
-      });
+      };
+      // The report and its immutable revision copy are written together, so both land or neither does
+      const batch = writeBatch(db);
+      batch.set(doc(db, "reports", selectedDate), data);
+      batch.set(doc(collection(db, "reports", selectedDate, "revisions")), data);
+      await batch.commit();
       alert(`Saved cloud report for ${selectedDate}.`);
     } catch (e) {
       console.error(e);
@@ -948,9 +1740,113 @@ export default function App() {
     }
   }
 
+  // Revisions of the open date (newest first), followed only while the Revisions page is open
+  const [revisions, setRevisions] = useState([]);
+  const [revPick, setRevPick] = useState({ a: null, b: null }); // ids; "editor" = unsaved text
+  useEffect(() => {
+    if (tab !== "revisions") return undefined;
+    setRevisions([]);
+    setRevPick({ a: null, b: null });
+    const qy = query(collection(db, "reports", selectedDate, "revisions"), orderBy("updatedAt", "desc"));
+    const unsub = onSnapshot(
+      qy,
+      (snap) => {
+        const list = [];
+        snap.forEach((d) => {
+          const data = d.data() || {};
+          list.push({ id: d.id, ...data, updatedAt: data.updatedAt?.toDate?.() || null });
+        });
+        setRevisions(list);
+      },
+      (err) => console.error("Revisions listener error:", err)
+    );
+    return () => unsub();
+  }, [tab, selectedDate]);
+  // Default comparison: the previous save against the latest
+  const revA = revPick.a ?? revisions[1]?.id ?? revisions[0]?.id ?? null;
+  const revB = revPick.b ?? (revisions.length > 1 ? revisions[0].id : "editor");
+  const revisionDiffs = useMemo(() => {
+    if (tab !== "revisions") return [];
+    const editor = { raw, hotoRaw, rtsDailyRaw, rtsWeekRaw, servicingRows };
+    const pick = (id) => (id === "editor" ? editor : revisions.find((r) => r.id === id));
+    const a = pick(revA);
+    const b = pick(revB);
+    if (!a || !b) return [];
+    return REVISION_FIELDS.map(([key, label]) => {
+      const rows = sideBySide(diffLines(revisionText(a, key), revisionText(b, key)));
+      return { key, label, rows, changed: rows.some((r) => r.type !== "same") };
+    });
+  }, [tab, revisions, revA, revB, raw, hotoRaw, rtsDailyRaw, rtsWeekRaw, servicingRows]);
+  const revisionLabel = (id) => {
+    if (id === "editor") return "Unsaved editor";
+    const r = revisions.find((x) => x.id === id);
+    return r ? `${r.updatedAt ? r.updatedAt.toLocaleString() : "(saving…)"}${r.savedBy ? ` — ${r.savedBy}` : ""}` : "";
+  };
+
+  // Put a revision back as the date's report (itself recorded as a new revision)
+  async function restoreRevision(rev) {
+    if (!user) {
+      alert("Please sign in with Google to restore.");
+      return;
+    }
+    if (!confirm(`Restore ${selectedDate} to the version saved ${revisionLabel(rev.id)}?`)) return;
+    try {
+      const data = {
+        ...Object.fromEntries(REPORT_DOC_KEYS.filter((k) => rev[k] !== undefined).map((k) => [k, rev[k]])),
+        updatedAt: serverTimestamp(),
+        savedBy: user?.email || null,
+      };
+      // Merge, so fields a revision does not keep survive; report fields it lacks are cleared
+      const cleared = Object.fromEntries(REPORT_DOC_KEYS.filter((k) => rev[k] === undefined).map((k) => [k, deleteField()]));
+      const batch = writeBatch(db);
+      batch.set(doc(db, "reports", selectedDate), { ...data, ...cleared }, { merge: true });
+      batch.set(doc(collection(db, "reports", selectedDate, "revisions")), { ...data, restoredFrom: rev.id });
+      await batch.commit();
+      alert(`Restored ${selectedDate}.`);
+    } catch (e) {
+      console.error(e);
+      alert(`Restore failed. Reason: ${e?.code || "permission-denied"}`);
+    }
+  }
+
+  // Load a Telegram Desktop result.json; default range is the night ending on the report date
+  async function loadTelegramExport(file) {
+    if (!file) return;
+    try {
+      const messages = parseTelegramExport(await file.text());
+      setTgExport({ fileName: file.name, messages });
+      setTgFrom(addDaysISO(selectedDate, -1));
+      setTgTo(selectedDate);
+      setTgTicked({});
+      setTgTails({});
+    } catch (e) {
+      console.error(e);
+      alert(`Could not read ${file.name}: ${e?.message || "invalid JSON"}`);
+    }
+  }
+
+  // Export messages in the chosen date range, matched to a tail and pre-parsed for preview
+  const tgExportRows = useMemo(() => {
+    if (!tgExport) return [];
+    return tgExport.messages
+      .filter((m) => (!tgFrom || m.date >= tgFrom) && (!tgTo || m.date <= tgTo))
+      .map((m) => {
+        const matched = matchMessageTail(m.text, fleet);
+        const code = matched || tgTails[m.id] || null;
+        const defect = code ? parseTelegramDefects(toDefectText(m, code))[code]?.[0] || null : null;
+        return { ...m, code, matched: !!matched, defect };
+      });
+  }, [tgExport, tgFrom, tgTo, tgTails, fleet]);
+  // Messages with a Defect: field are ticked by default; other chatter only when ticked by hand
+  const tgIncluded = (r) => !!r.code && (tgTicked[r.id] ?? !!r.defect?.defect);
+
   // Generate Night Report text from HOTO quick inputs + Telegram defects
   function handleGenerate() {
-    const defectMap = parseTelegramDefects(tgText || "");
+    const exportText = tgExportRows
+      .filter(tgIncluded)
+      .map((r) => toDefectText(r, r.code))
+      .join("\n\n");
+    const defectMap = parseTelegramDefects([tgText || "", exportText].filter(Boolean).join("\n\n"));
 
     const sCodes = Array.from(
       new Set(
@@ -979,24 +1875,51 @@ export default function App() {
     lines.push("(^ denotes fitted with ‘U/S’  EOSS TU)");
     lines.push("");
 
+    // Fit marker per tail: "*" as before, unless the HOTO EOSS Status says otherwise for that tail
+    // ("^" for a U/S TU, none when the tail is listed as having no TU)
+    const eossMarker = {};
+    const { units, unparsed } = parseEossStatus(hoto.extra.eoss, fleet);
+    unparsed.forEach((ln) => {
+      if (!/\b(?:nil|none|no\s+tu|not\s+fitted|removed)\b/i.test(ln)) return;
+      fleet.forEach((t) => {
+        if (new RegExp(`\\b(?:${t.code}|${t.id})\\b`, "i").test(ln)) eossMarker[t.code] = "";
+      });
+    });
+    units.forEach((u) => {
+      if (u.code) eossMarker[u.code] = u.status === "U/S" ? "^" : "*";
+    });
+
     const defectCodes = Object.keys(defectMap).sort();
     defectCodes.forEach((code, idx) => {
-      const d = defectMap[code];
-      lines.push(`*${code} - GR`);
-      if (d.us) lines.push(`Input: ${d.us}`);
-      if (d.etr) lines.push(`ETR: ${d.etr}`);
+      const defects = defectMap[code];
+      const [first] = defects;
+      lines.push(`${eossMarker[code] ?? "*"}${code} - GR`);
+      if (first.us) lines.push(`Input: ${first.us}`);
+      if (first.etr) lines.push(`ETR: ${first.etr}`);
       lines.push("");
-      if (d.defect) lines.push(`- Defect: ${d.defect}`);
-      if (d.rect) lines.push(`> Rect: ${d.rect}`);
-      if (d.recovery) { lines.push("> Post phase rcv"); lines.push(""); }
-      if (d.gr?.length) {
+
+      // One Defect/Rect group per message; later defects carry their own U/S + ETR if they differ
+      defects.forEach((d, i) => {
+        if (d.defect) lines.push(`- Defect: ${d.defect}`);
+        if (i > 0 && d.us && d.us !== first.us) lines.push(`> U/S: ${d.us}`);
+        if (i > 0 && d.etr && d.etr !== first.etr) lines.push(`> ETR: ${d.etr}`);
+        if (d.rect) lines.push(`> Rect: ${d.rect}`);
+        if (d.system) lines.push(`> System: ${d.system}`);
+        if (d.workcenter) lines.push(`> Workcenter: ${d.workcenter}`);
+      });
+      if (defects.some((d) => d.recovery)) { lines.push("> Post phase rcv"); lines.push(""); }
+
+      // Requirements go last (everything after the marker is a requirement), merged across defects
+      const gr = Array.from(new Set(defects.flatMap((d) => d.gr || [])));
+      const fcf = Array.from(new Set(defects.flatMap((d) => d.fcf || [])));
+      if (gr.length) {
         lines.push("Requirements"); lines.push("- G/R");
-        d.gr.forEach((g) => lines.push(`> ${g}`));
+        gr.forEach((g) => lines.push(`> ${g}`));
       }
-      if (d.fcf?.length) {
-        if (!d.gr?.length) lines.push("Requirements");
+      if (fcf.length) {
+        if (!gr.length) lines.push("Requirements");
         lines.push("- FCF");
-        d.fcf.forEach((f) => lines.push(`> ${f}`));
+        fcf.forEach((f) => lines.push(`> ${f}`));
       }
       if (idx < defectCodes.length - 1) lines.push("");
     });
@@ -1004,7 +1927,7 @@ export default function App() {
     if (defectCodes.length) lines.push("");
 
     sCodes.filter((c) => !defectMap[c]).forEach((code) => {
-      lines.push(`*${code} - S`);
+      lines.push(`${eossMarker[code] ?? "*"}${code} - S`);
       lines.push("");
     });
 
@@ -1021,44 +1944,35 @@ export default function App() {
     );
   }
 
+  function copyRefuelBrief() {
+    if (!refuelPlan) return;
+    navigator.clipboard?.writeText(refuelBrief(rtsDaily.dateLabel, refuelPlan, refuelSeparation)).then(
+      () => alert("Refuel brief copied to clipboard."),
+      () => alert("Could not copy (clipboard blocked).")
+    );
+  }
+
   // Move ticked Outstanding items → Job Completed (local; persist on Save)
   function moveTickedToCompleted() {
-    const updates = {};
-    let count = 0;
-
-    Object.keys(hoto.outstanding || {}).forEach((code) => {
-      const group = hoto.outstanding[code];
-      (group.items || []).forEach((item) => {
-        const key = `${code}|${item}`;
-        if (hotoTicks[key]) {
-          if (!updates[code]) updates[code] = new Set(hotoDone[code] || []);
-          if (!updates[code].has(item)) {
-            updates[code].add(item);
-            count++;
-          }
-        }
-      });
-    });
+    const moving = Object.values(hotoIds.items).flat().filter((it) => isTicked(it) && !isMoved(it));
 
-    if (count === 0) {
+    if (moving.length === 0) {
       alert("No ticked items to move.");
       return;
     }
 
-    if (!confirm(`Move ${count} ticked item(s) to Job Completed?`)) return;
+    if (!confirm(`Move ${moving.length} ticked item(s) to Job Completed?`)) return;
 
     const nextDone = { ...hotoDone };
-    Object.keys(updates).forEach((code) => {
-      nextDone[code] = Array.from(updates[code]);
+    moving.forEach((it) => {
+      nextDone[it.code] = [...(nextDone[it.code] || []), { id: it.id, text: it.text }];
     });
     setHotoDone(nextDone);
 
     const nextTicks = { ...hotoTicks };
-    Object.keys(updates).forEach((code) => {
-      updates[code].forEach((item) => {
-        const k = `${code}|${item}`;
-        delete nextTicks[k];
-      });
+    moving.forEach((it) => {
+      delete nextTicks[it.id];
+      delete nextTicks[`${it.code}|${it.text}`];
     });
     setHotoTicks(nextTicks);
 
@@ -1066,47 +1980,407 @@ export default function App() {
   }
 
   // ========== Derived UI state for Overview ==========
-  const parsed = useMemo(() => parseReport(raw), [raw]);
+  const reportParse = useMemo(() => parseReportDetailed(raw, selectedDate, fleet), [raw, selectedDate, fleet]);
+  const parsed = reportParse.entries;
+  const reportDiagnostics = reportParse.diagnostics;
+
+  // Per-tail editor (modal opened from a card)
+  function openDetail(id, code, entry) {
+    setDetail({ id, code, entry });
+    setDetailForm(entryToForm(code, entry));
+  }
+  function closeDetail() {
+    setDetail(null);
+    setDetailForm(null);
+  }
+  function updateDetailForm(patch) {
+    setDetailForm((prev) => ({ ...prev, ...patch }));
+  }
+  // Regenerate this tail's block in `raw`; other tails' text is left as-is
+  function saveDetailToReport() {
+    if (!detail || !detailForm) return;
+    setRaw((prev) => replaceReportBlock(prev, parseReportDetailed(prev, selectedDate, fleet).entries[detail.code], serializeEntry(detailForm)));
+    closeDetail();
+    alert(`Updated ${detail.code} in the Night Report text. Click “Save to cloud” to persist.`);
+  }
+  const detailPreview = useMemo(() => {
+    if (!detailForm) return null;
+    return parseReportDetailed(serializeEntry(detailForm), selectedDate, fleet).entries[detailForm.code] || null;
+  }, [detailForm, selectedDate, fleet]);
+  const detailBlockIssues = useMemo(() => {
+    const range = detail?.entry?.lines;
+    if (!range) return 0;
+    return reportDiagnostics.filter((d) => d.line > range.start && d.line <= range.end).length;
+  }, [detail, reportDiagnostics]);
+
+  // Select a source line in the Night Report editor and scroll it into view
+  const reportTextRef = useRef(null);
+  function jumpToReportLine(lineNo) {
+    const ta = reportTextRef.current;
+    if (!ta) return;
+    const srcLines = (raw || "").split("\n");
+    let start = 0;
+    for (let i = 0; i < lineNo - 1 && i < srcLines.length; i++) start += srcLines[i].length + 1;
+    const end = start + (srcLines[lineNo - 1] || "").length;
+    ta.focus();
+    ta.setSelectionRange(start, end);
+    const lineHeight = parseFloat(getComputedStyle(ta).lineHeight) || 20;
+    ta.scrollTop = Math.max(0, (lineNo - 3) * lineHeight);
+  }
+
+  // "Now" for ETR countdowns: live clock on today's report, end of day for other dates
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(t);
+  }, []);
+  const asOf = useMemo(
+    () => (selectedDate === getTodayISO() ? now : new Date(`${selectedDate}T23:59:00`).getTime()),
+    [selectedDate, now]
+  );
 
   const cards = useMemo(() => {
-    return PLACEHOLDERS.map((id) => {
-      const code = idToCode(id);
+    return fleetTails.map(({ id, code, type }) => {
       const entry = parsed[code];
-      return { id, code, entry };
+      return { id, code, type, entry, timing: entryTiming(entry, asOf) };
+    });
+  }, [fleetTails, parsed, asOf]);
+
+  const breachedCards = useMemo(() => cards.filter((c) => c.timing?.breached), [cards]);
+
+  // Every saved Night Report parsed, oldest first (once per snapshot, not per keystroke);
+  // only built while a tab that reads it (Trends, Overview repeat chips) is open
+  const savedReports = useMemo(() => {
+    if (tab !== "trends" && tab !== "overview") return [];
+    return cloudDocs
+      .filter((d) => d.raw)
+      .map((d) => ({ date: d.id, entries: parseReportDetailed(d.raw, d.id, fleet).entries }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }, [tab, cloudDocs, fleet]);
+  // Trends input: saved reports with the open date taken from the text being edited;
+  // only built while the Trends tab is open
+  const reportHistory = useMemo(() => {
+    if (tab !== "trends") return [];
+    const out = savedReports.filter((h) => h.date !== selectedDate);
+    if (raw) out.push({ date: selectedDate, entries: parsed });
+    return out.sort((a, b) => a.date.localeCompare(b.date));
+  }, [tab, savedReports, selectedDate, raw, parsed]);
+
+  // Availability trends: every saved report's status per active tail, oldest first
+  const [trendRange, setTrendRange] = useState("month");
+  const trendAllDays = useMemo(
+    () =>
+      reportHistory.map(({ date, entries }) => {
+        const tags = {};
+        fleetCodes.forEach((c) => { if (entries[c]) tags[c] = entries[c].tag; });
+        return { date, tags };
+      }),
+    [reportHistory, fleetCodes]
+  );
+  const trendDays = useMemo(() => sliceRange(trendAllDays, trendRange), [trendAllDays, trendRange]);
+  const trendSeries = useMemo(() => availabilitySeries(trendDays, fleetCodes), [trendDays, fleetCodes]);
+  function downloadTrendCSV() {
+    if (!trendDays.length) return;
+    const csv = availabilityCSV(trendDays, trendSeries, fleetCodes);
+    const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `availability_${trendDays[0].date}_${trendDays[trendDays.length - 1].date}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Repeat / chronic defects: a defect that clears and comes back within the window is flagged
+  const [repeatWindowDays, setRepeatWindowDays] = useState(() => {
+    const v = parseInt(localStorage.getItem("repeatWindowDays") || "", 10);
+    return Number.isFinite(v) && v > 0 ? v : 30;
+  });
+  useEffect(() => {
+    try { localStorage.setItem("repeatWindowDays", String(repeatWindowDays)); } catch { /* ignore */ }
+  }, [repeatWindowDays]);
+  // Trends uses the live history; the Overview chips use saved reports only, so typing in the
+  // editor does not re-run the clustering
+  const recurringDefects = useMemo(() => {
+    const history = tab === "trends" ? reportHistory : tab === "overview" ? savedReports : [];
+    const occurrences = history.flatMap(({ date, entries }) =>
+      Object.values(entries).flatMap((e) => entryDefects(e).map((d) => ({ date, code: e.code, ...d })))
+    );
+    const clusters = findRecurringDefects(occurrences, history.map((h) => h.date), { windowDays: repeatWindowDays });
+    return clusters.filter((c) => c.episodes.length > 1);
+  }, [tab, reportHistory, savedReports, repeatWindowDays]);
+  // Flagged repeats still open on the date being viewed (as saved), for the Overview cards
+  const repeatsOnCard = (code) =>
+    recurringDefects.filter((c) => c.flagged && c.code === code && c.episodes[c.episodes.length - 1].end === selectedDate);
+
+  // Rectification downtime / MTTR: episodes closed within the selected trend range
+  const [mttrBy, setMttrBy] = useState("tail"); // "tail" | "system" | "workcenter"
+  const [mttrSort, setMttrSort] = useState({ key: "meanMs", dir: "desc" });
+  const mttrEpisodes = useMemo(() => {
+    const history = reportHistory.map(({ date, entries }) => {
+      const tails = {};
+      fleetCodes.forEach((c) => {
+        const e = entries[c];
+        if (e) tails[c] = { tag: e.tag, inputTs: e.inputAt?.ts ?? null, defects: entryDefects(e) };
+      });
+      return { date, tails };
+    });
+    return rectificationEpisodes(history, fleetCodes);
+  }, [reportHistory, fleetCodes]);
+  const mttrPeriod = useMemo(() => {
+    const from = trendDays.length ? trendDays[0].date : "";
+    const closed = mttrEpisodes.filter((ep) => !ep.open && ep.closedOn >= from);
+    return { closed, open: mttrEpisodes.filter((ep) => ep.open) };
+  }, [mttrEpisodes, trendDays]);
+  const mttrRows = useMemo(() => {
+    const rows = summarizeDowntime(mttrPeriod.closed, mttrBy);
+    const { key, dir } = mttrSort;
+    const sign = dir === "asc" ? 1 : -1;
+    rows.sort((a, b) => {
+      const c = key === "key" ? a.key.localeCompare(b.key) : a[key] - b[key];
+      return c * sign || b.count - a.count;
+    });
+    return rows;
+  }, [mttrPeriod, mttrBy, mttrSort]);
+  const mttrHistogram = useMemo(() => downtimeHistogram(mttrPeriod.closed), [mttrPeriod]);
+  function sortMttrBy(key) {
+    setMttrSort((prev) => ({ key, dir: prev.key === key && prev.dir === "desc" ? "asc" : "desc" }));
+  }
+
+  // EOSS TU board: HOTO "■ EOSS Status" per saved date (the open date uses the HOTO being edited);
+  // only built while the Equipment tab is open
+  const eossDays = useMemo(() => {
+    if (tab !== "equipment") return [];
+    const byDate = {};
+    cloudDocs.forEach((d) => { if (d.hotoRaw && d.id !== selectedDate) byDate[d.id] = d.hotoRaw; });
+    if (hotoRaw) byDate[selectedDate] = hotoRaw;
+    return Object.keys(byDate)
+      .sort()
+      .map((date) => ({ date, ...parseEossStatus(parseHOTO(byDate[date]).extra.eoss, fleet) }));
+  }, [tab, cloudDocs, selectedDate, hotoRaw, fleet]);
+  const eossUnits = useMemo(() => eossHistory(eossDays), [eossDays]);
+  const eossLatestDate = eossDays.length ? eossDays[eossDays.length - 1].date : null;
+  const eossToday = eossDays.find((d) => d.date === selectedDate) || null;
+  // Night Report */^ markers vs the EOSS list, only once the HOTO actually lists TUs
+  const eossProblems = useMemo(() => {
+    if (!raw || !eossToday?.units.length) return [];
+    return eossMismatches(Object.fromEntries(Object.values(parsed).map((e) => [e.code, e.eoss])), eossToday.units);
+  }, [raw, parsed, eossToday]);
+
+  // Equipment registers as of the previous saved night (a kind it does not mention is taken from
+  // the night before that), for carry-over and change highlighting. Only built on the Equipment tab.
+  const prevRegisters = useMemo(() => {
+    if (tab !== "equipment") return null;
+    const earlier = cloudDocs.filter((d) => d.id < selectedDate); // newest first
+    if (!earlier.length) return null;
+    const out = Object.fromEntries(REGISTER_KINDS.map(([k]) => [k, null]));
+    for (const d of earlier) {
+      const regs = docRegisters(d, fleet);
+      REGISTER_KINDS.forEach(([k]) => { if (out[k] == null) out[k] = regs[k]; });
+      if (REGISTER_KINDS.every(([k]) => out[k] != null)) break;
+    }
+    return Object.fromEntries(REGISTER_KINDS.map(([k]) => [k, out[k] || []]));
+  }, [tab, cloudDocs, selectedDate, fleet]);
+  // Edited/saved registers, else this HOTO's sections, else carried over from the previous night
+  const equipmentView = useMemo(() => {
+    if (equipment) return equipment;
+    if (tab !== "equipment") return Object.fromEntries(REGISTER_KINDS.map(([k]) => [k, []]));
+    return Object.fromEntries(
+      REGISTER_KINDS.map(([k]) => [
+        k,
+        hoto.extra[k]?.length ? parseRegister(hoto.extra[k], fleet) : prevRegisters?.[k] || [],
+      ])
+    );
+  }, [tab, equipment, hoto, fleet, prevRegisters]);
+  // Kinds where the edited/saved register no longer matches the HOTO text
+  const registersOutOfSync = useMemo(() => {
+    if (!equipment || tab !== "equipment") return [];
+    const lines = (rows) => (rows || []).map(serializeRegisterLine).join("\n");
+    return REGISTER_KINDS.filter(
+      ([k]) => hoto.extra[k]?.length && lines(parseRegister(hoto.extra[k], fleet)) !== lines(equipment[k])
+    ).map(([, label]) => label);
+  }, [tab, equipment, hoto, fleet]);
+  const registerDiffs = useMemo(
+    () => Object.fromEntries(REGISTER_KINDS.map(([k]) => [k, diffRegister(prevRegisters?.[k], equipmentView[k])])),
+    [prevRegisters, equipmentView]
+  );
+  function editRegister(kind, fn) {
+    setEquipment((prev) => {
+      const cur = prev || equipmentView;
+      return { ...cur, [kind]: fn(cur[kind] || []) };
     });
-  }, [parsed]);
+  }
+  const updateRegisterRow = (kind, idx, patch) =>
+    editRegister(kind, (rows) => rows.map((r, i) => (i === idx ? { ...r, ...patch } : r)));
+  const addRegisterRow = (kind) => editRegister(kind, (rows) => [...rows, emptyRegisterRow()]);
+  const removeRegisterRow = (kind, idx) => editRegister(kind, (rows) => rows.filter((_, i) => i !== idx));
+  // Regenerate the ■ MEE / BRU Status / Probe Status sections of the HOTO text from the registers
+  function writeRegistersToHoto() {
+    setHotoRaw((text) =>
+      REGISTER_KINDS.reduce((t, [k]) => {
+        const rows = (equipmentView[k] || []).filter((r) => r.item || r.serial);
+        return replaceHotoSection(t, k, rows.length ? rows.map(serializeRegisterLine) : ["Nil"]);
+      }, text)
+    );
+    setEquipment(equipmentView);
+  }
+
+  // AOM / lessons-learnt knowledge base across every saved HOTO (the open date uses the HOTO being edited).
+  // Saved HOTOs are parsed apart from the one being typed, and only while the Lessons & AOM tab is open.
+  const knowledgeDocs = useMemo(() => {
+    if (tab !== "knowledge") return [];
+    return cloudDocs
+      .filter((d) => d.hotoRaw)
+      .map((d) => ({ id: d.id, savedBy: d.savedBy, extra: parseHOTO(d.hotoRaw).extra }));
+  }, [tab, cloudDocs]);
+  const knowledge = useMemo(() => {
+    if (tab !== "knowledge") return [];
+    const docs = knowledgeDocs.filter((d) => d.id !== selectedDate);
+    if (hotoRaw) {
+      const saved = cloudDocs.find((d) => d.id === selectedDate);
+      docs.push({ id: selectedDate, savedBy: saved?.savedBy || user?.email || "", extra: hoto.extra });
+    }
+    return extractKnowledge(docs, fleet);
+  }, [tab, knowledgeDocs, cloudDocs, selectedDate, hotoRaw, hoto, user, fleet]);
+  const [kbFilters, setKbFilters] = useState({ query: "", kind: "", tail: "", tag: "", author: "" });
+  const kbResults = useMemo(() => searchKnowledge(knowledge, kbFilters), [knowledge, kbFilters]);
+  const kbFacets = useMemo(
+    () => ({
+      tails: [...new Set(knowledge.flatMap((e) => e.tails))].sort(),
+      tags: [...new Set(knowledge.flatMap((e) => e.tags))].sort(),
+      authors: [...new Set(knowledge.map((e) => e.author).filter(Boolean))].sort(),
+    }),
+    [knowledge]
+  );
+  const setKbFilter = (key, value) => setKbFilters((prev) => ({ ...prev, [key]: value }));
+
+  // Per-tail history page (opened from an Overview card)
+  const [historyTail, setHistoryTail] = useState(null); // { id, code, type }
+  function openTailHistory(tail) {
+    setHistoryTail(tail);
+    setTab("tail");
+  }
+  function openDateFromHistory(date) {
+    setFollowLatest(false);
+    loadCloudDate(date);
+    setTab("overview");
+  }
+  const tailHistory = useMemo(
+    () => (tab === "tail" && historyTail ? buildTailHistory(cloudDocs, historyTail, fleet) : null),
+    [tab, historyTail, cloudDocs, fleet]
+  );
+
+  // Daily RTS vs the Night Report of the same date (the loaded one, else from the cloud list)
+  const rtsCheck = useMemo(() => {
+    if (!rtsDaily) return null;
+    const date = rtsDaily.dateISO || selectedDate;
+    let entries = null;
+    if (date === selectedDate && raw) entries = parsed;
+    else {
+      const d = cloudDocs.find((x) => x.id === date);
+      if (d?.raw) entries = parseReportDetailed(d.raw, date, fleet).entries;
+    }
+    return { date, hasReport: !!entries, warnings: entries ? crossCheckRts(rtsDaily, entries) : [] };
+  }, [rtsDaily, selectedDate, raw, parsed, cloudDocs, fleet]);
+  const rtsWarningsFor = (code) =>
+    rtsCheck && rtsCheck.date === selectedDate ? rtsCheck.warnings.filter((w) => w.code === code) : [];
 
   const completedMerged = useMemo(() => {
     const merged = {};
     Object.keys(hoto.completed || {}).forEach((code) => {
       merged[code] = [...hoto.completed[code]];
     });
-    Object.keys(hotoDone || {}).forEach((code) => {
+    // Tails that only have moved items follow in their Outstanding order
+    [...new Set([...Object.keys(hoto.outstanding || {}), ...Object.keys(hotoDone || {})])].forEach((code) => {
+      if (!hotoDone?.[code]) return;
       if (!merged[code]) merged[code] = [];
-      hotoDone[code].forEach((item) => {
+      hotoDone[code].forEach((d) => {
+        // Moved items show their current wording if it changed after the move
+        const item = typeof d === "string" ? d : hotoIds.registry[d.id]?.text || d.text;
         if (!merged[code].includes(item)) merged[code].push(item);
       });
     });
     return merged;
-  }, [hoto.completed, hotoDone]);
+  }, [hoto.completed, hoto.outstanding, hotoDone, hotoIds.registry]);
 
-  function isMoved(code, item) {
-    return !!(hotoDone[code]?.includes(item));
+  function isMoved(item) {
+    return isMovedItem(hotoDone, item);
   }
 
-  function firstDefectLine(entry) {
-    if (!entry) return "";
-    const inTitle = (entry.title.match(/defect:\s*(.*)/i) || [])[1];
-    if (inTitle) return inTitle.trim();
-    const note = entry.notes.find((n) => /^defect:/i.test(n));
-    if (note) return note.replace(/^defect:\s*/i, "").trim();
-    return entry.title.split(" - ").slice(1).join(" - ");
-  }
+  // Aging: walk back through earlier nights' HOTOs to find when each outstanding item first appeared
+  // (only built while the HOTO tab is open)
+  const hotoHistory = useMemo(() => {
+    if (tab !== "hoto") return [];
+    return cloudDocs
+      .filter((d) => d.id < selectedDate)
+      .slice(0, HOTO_LOOKBACK_NIGHTS)
+      .map((d) => {
+        if (!d.hotoRaw) return { date: d.id, outstanding: null };
+        const parsedHoto = parseHOTO(d.hotoRaw).outstanding;
+        const outstanding = {};
+        Object.keys(parsedHoto).forEach((code) => {
+          // Items moved to Completed that night were done; a later reappearance is a new snag
+          const moved = (d.hotoDone?.[code] || []).map((x) => (typeof x === "string" ? x : x.text));
+          outstanding[code] = parsedHoto[code].items.filter((t) => !moved.includes(t));
+        });
+        return { date: d.id, outstanding };
+      });
+  }, [tab, cloudDocs, selectedDate]);
+  const hotoAges = useMemo(
+    () => traceItemAges(hotoIds.items, hotoHistory, selectedDate),
+    [hotoIds.items, hotoHistory, selectedDate]
+  );
+
+  // Fleet-wide "oldest outstanding" list (sortable)
+  const [agingSort, setAgingSort] = useState({ key: "nights", dir: "desc" });
+  const agingRows = useMemo(() => {
+    const rows = Object.values(hotoIds.items)
+      .flat()
+      .filter((it) => !isMovedItem(hotoDone, it) && !it.text.startsWith("> "))
+      .map((it) => ({ ...it, ...(hotoAges[it.id] || { firstSeen: selectedDate, nights: 1 }) }));
+    const { key, dir } = agingSort;
+    const sign = dir === "asc" ? 1 : -1;
+    rows.sort((a, b) => {
+      const va = a[key];
+      const vb = b[key];
+      const c = typeof va === "number" ? va - vb : String(va).localeCompare(String(vb));
+      return c * sign || b.nights - a.nights;
+    });
+    return rows;
+  }, [hotoIds.items, hotoAges, hotoDone, agingSort, selectedDate]);
+  function sortAgingBy(key) {
+    setAgingSort((prev) => ({ key, dir: prev.key === key && prev.dir === "desc" ? "asc" : "desc" }));
+  }
+
+  // Next shift's HOTO: outstanding minus moved items, completed incl. moves, other sections carried over
+  const [handoverText, setHandoverText] = useState(null);
+  function generateHandover() {
+    const outstanding = {};
+    Object.keys(hoto.outstanding || {}).forEach((code) => {
+      const items = (hotoIds.items[code] || []).filter((it) => !isMoved(it)).map((it) => it.text);
+      outstanding[code] = { tag: hoto.outstanding[code].tag, items };
+    });
+    setHandoverText(
+      serializeHOTO({ preamble: hoto.preamble, completed: completedMerged, outstanding, extra: hoto.extra })
+    );
+  }
+  function copyHandover() {
+    if (!handoverText) return;
+    navigator.clipboard?.writeText(handoverText).then(
+      () => alert("Handover copied to clipboard."),
+      () => alert("Could not copy (clipboard blocked).")
+    );
+  }
 
   // Chip helpers (RTS colors)
   const chipMission = "inline-block text-xs px-2 py-1 rounded border bg-amber-100 border-amber-300 text-amber-900";
   const chipSpare   = "inline-block text-xs px-2 py-1 rounded border bg-gray-100 border-gray-300 text-gray-700";
   const chipHealing = "inline-block text-xs px-2 py-1 rounded border bg-blue-100 border-blue-300 text-blue-900";
+  const timelineBarClass = {
+    mission: "bg-amber-300 border-amber-500 text-amber-900",
+    spare:   "bg-gray-200 border-gray-400 text-gray-700",
+    healing: "bg-blue-300 border-blue-500 text-blue-900",
+  };
+  const timelinePct = (min) => `${(min / (rtsTimeline?.axisEnd || 1440)) * 100}%`;
 
   // Local save helpers for tabs
   function saveOverviewLocal() {
@@ -1117,6 +2391,7 @@ export default function App() {
     try {
       localStorage.setItem(`rtsDaily_${selectedDate}`, rtsDailyRaw || "");
       localStorage.setItem(`rtsWeek_${selectedDate}`, rtsWeekRaw || "");
+      localStorage.setItem(`rtsProfileTicks_${selectedDate}`, JSON.stringify(rtsProfileTicks || {}));
       alert("RTS text saved locally.");
     } catch { alert("Could not save locally."); }
   }
@@ -1125,6 +2400,8 @@ export default function App() {
       localStorage.setItem(`hotoRaw_${selectedDate}`, hotoRaw || "");
       localStorage.setItem(`hotoTicks_${selectedDate}`, JSON.stringify(hotoTicks || {}));
       localStorage.setItem(`hotoDone_${selectedDate}`, JSON.stringify(hotoDone || {}));
+      localStorage.setItem(`hotoItems_${selectedDate}`, JSON.stringify(hotoIds.registry || {}));
+      localStorage.setItem(`equipment_${selectedDate}`, JSON.stringify(equipment));
       alert("HOTO saved locally.");
     } catch { alert("Could not save locally."); }
   }
@@ -1170,8 +2447,8 @@ export default function App() {
         <div>
           <h1 className="text-2xl md:text-3xl font-semibold">Night Report Dashboard</h1>
           <p className="text-sm text-gray-600">
-            8 placeholders: 252, 253, 260, 261, 262, 263, 265, 266. Mapping: F → 25x, S → 26x
-            (e.g., F2→252, F3→253, S1→261).
+            {fleetTails.length} tails: {fleetTails.map((t) => `${t.code}→${t.id}`).join(", ")}
+            {" "}(edit on the Settings tab).
           </p>
         </div>
         <div className="flex items-center gap-2">
@@ -1200,6 +2477,10 @@ export default function App() {
             ["hoto", "HOTO checker"],
             ["servicing", "Servicing"],
             ["calculator", "Calculator"],
+            ["trends", "Trends"],
+            ["equipment", "Equipment"],
+            ["knowledge", "Lessons & AOM"],
+            ["settings", "Settings"],
           ].map(([key, label]) => (
             <li key={key}>
               <button
@@ -1266,6 +2547,13 @@ export default function App() {
             >
               Save to cloud
             </button>
+            <button
+              className={`border rounded px-3 py-2 text-sm ${tab === "revisions" ? "bg-blue-50 border-blue-600" : ""}`}
+              onClick={() => setTab("revisions")}
+              title="Every save of this date, with diff and restore"
+            >
+              Revisions
+            </button>
             <span className="text-xs text-gray-500 self-center">
               {user ? "You can edit & save." : "Sign in to save changes."}
             </span>
@@ -1324,33 +2612,70 @@ export default function App() {
       {/* Tab content */}
       {tab === "overview" && (
         <>
-          {/* Cards grid (click a card to open modal with full details) */}
+          {/* Fleet strip: every tail whose ETR is already behind the report date */}
+          {raw && (
+            <section
+              className={`mb-4 border rounded-2xl px-4 py-2 text-sm ${
+                breachedCards.length ? "bg-red-50 border-red-400 text-red-900" : "bg-gray-50 text-gray-600"
+              }`}
+            >
+              {breachedCards.length === 0 ? (
+                "No ETR breached."
+              ) : (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-semibold">⚠️ ETR breached:</span>
+                  {breachedCards.map(({ id, code, entry, timing }) => (
+                    <button
+                      key={id}
+                      className="px-2 py-0.5 rounded border border-red-400 bg-white"
+                      onClick={() => openDetail(id, code, entry)}
+                      title={`ETR ${entry.etrAt.iso}`}
+                    >
+                      {code} ({id}) — ETR {entry.etr}, +{formatDuration(timing.etrIn)}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </section>
+          )}
+
+          {/* RTS tasking that clashes with this report's status */}
+          {rtsCheck && rtsCheck.date === selectedDate && rtsCheck.warnings.length > 0 && (
+            <section className="mb-4 border rounded-2xl px-4 py-2 text-sm bg-amber-50 border-amber-400 text-amber-900">
+              <div className="font-semibold mb-1">⚠️ RTS vs Night Report:</div>
+              <ul className="list-disc pl-5 space-y-0.5">
+                {rtsCheck.warnings.map((w, i) => (
+                  <li key={i} className={w.severity === "error" ? "text-red-800" : ""}>{w.message}</li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {/* Cards grid (click a card to open the per-tail editor) */}
           <section className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-            {cards.map(({ id, code, entry }) => {
+            {cards.map(({ id, code, type, entry, timing }) => {
               const tag = entry?.tag || "none";
               const classes = entry ? statusToClasses(tag) : "bg-gray-50 border-gray-200";
 
               const short = entry ? firstDefectLine(entry) : "";
-              const clickable = !!entry;
 
               return (
                 <div
                   key={id}
-                  className={`border rounded-2xl p-4 shadow-sm ${classes} ${
-                    clickable ? "cursor-pointer hover:shadow" : "opacity-70"
-                  }`}
-                  role={clickable ? "button" : undefined}
-                  tabIndex={clickable ? 0 : -1}
-                  onClick={() => clickable && setDetail({ id, code, entry })}
+                  className={`border rounded-2xl p-4 shadow-sm cursor-pointer hover:shadow ${classes} ${
+                    entry ? "" : "opacity-70"
+                  } ${timing?.breached ? "ring-2 ring-red-500" : ""}`}
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => openDetail(id, code, entry)}
                   onKeyDown={(e) => {
-                    if (!clickable) return;
-                    if (e.key === "Enter" || e.key === " ") setDetail({ id, code, entry });
+                    if (e.key === "Enter" || e.key === " ") openDetail(id, code, entry);
                   }}
-                  title={clickable ? "Click to view full details" : "No data for this tail"}
+                  title={entry ? "Click to view / edit details" : "No data for this tail — click to add it"}
                 >
                   <div className="flex items-center justify-between mb-1">
                     <div className="font-semibold text-lg">{id}</div>
-                    <div className="text-xs px-2 py-0.5 rounded bg-white border">{code}</div>
+                    <div className="text-xs px-2 py-0.5 rounded bg-white border" title={type || undefined}>{code}</div>
                   </div>
                   <div className="text-xs text-gray-500 mb-2">
                     {reportTitle} — {selectedDate}
@@ -1363,52 +2688,151 @@ export default function App() {
                       {/* Status + Input/ETR chips */}
                       <div className="flex flex-wrap gap-2 text-xs mb-2">
                         <span className="px-2 py-0.5 bg-white border rounded">{statusLabel(tag)}</span>
+                        {entry.eoss && (
+                          <span
+                            className={`px-2 py-0.5 rounded border ${
+                              entry.eoss === "S" ? "border-green-400 bg-green-50" : "border-red-400 bg-red-50"
+                            }`}
+                            title={entry.eoss === "S" ? "Fitted with 'S' EOSS TU (*)" : "Fitted with 'U/S' EOSS TU (^)"}
+                          >
+                            EOSS TU {entry.eoss}
+                          </span>
+                        )}
                         {entry.input && (
                           <span className="px-2 py-0.5 bg-white border rounded">Input: {entry.input}</span>
                         )}
                         {entry.etr && (
                           <span className="px-2 py-0.5 bg-white border rounded">ETR: {entry.etr}</span>
                         )}
+                        {repeatsOnCard(code).length > 0 && (
+                          <span
+                            className="px-2 py-0.5 rounded border border-rose-500 bg-rose-100 text-rose-900"
+                            title={repeatsOnCard(code)
+                              .map((c) => `${c.text} — seen ${c.episodes.length}×, last came back after ${c.repeats[c.repeats.length - 1].gapDays} days`)
+                              .join("\n")}
+                          >
+                            🔁 Repeat defect
+                          </span>
+                        )}
+                        {rtsWarningsFor(code).length > 0 && (
+                          <span
+                            className="px-2 py-0.5 rounded border border-amber-500 bg-amber-100 text-amber-900"
+                            title={rtsWarningsFor(code).map((w) => w.message).join("\n")}
+                          >
+                            ⚠️ RTS
+                          </span>
+                        )}
                       </div>
 
+                      {/* U/S duration + ETR countdown (parsed from Input/ETR) */}
+                      {timing && (timing.usFor != null || timing.etrIn != null) && (
+                        <div className="flex flex-wrap gap-2 text-xs mb-2">
+                          {timing.usFor != null && (
+                            <span className="px-2 py-0.5 bg-white border rounded" title={`Input ${entry.inputAt.iso}`}>
+                              U/S {formatDuration(timing.usFor)}
+                            </span>
+                          )}
+                          {timing.breached ? (
+                            <span
+                              className="px-2 py-0.5 rounded border border-red-500 bg-red-600 text-white font-medium"
+                              title={`ETR ${entry.etrAt.iso}`}
+                            >
+                              ETR breached +{formatDuration(timing.etrIn)}
+                            </span>
+                          ) : timing.etrIn != null ? (
+                            <span className="px-2 py-0.5 bg-white border rounded" title={`ETR ${entry.etrAt.iso}`}>
+                              ETR in {entry.etrAt.confidence === "high" ? "" : "~"}{formatDuration(timing.etrIn)}
+                            </span>
+                          ) : null}
+                        </div>
+                      )}
+
                       {/* Preview (full details in modal) */}
                       <div className="text-sm">{short}</div>
                     </>
                   ) : (
                     <div className="italic text-sm text-gray-500">No data for {code}.</div>
                   )}
+
+                  <div className="mt-2 text-right">
+                    <button
+                      className="text-xs underline text-blue-700"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        openTailHistory({ id, code, type });
+                      }}
+                      onKeyDown={(e) => e.stopPropagation()}
+                    >
+                      History →
+                    </button>
+                  </div>
                 </div>
               );
             })}
           </section>
 
           {/* Night Report source editor (you can paste or modify text directly) */}
-          <section className="mt-6">
-            <h3 className="text-md font-semibold mb-2">Night Report text (source)</h3>
-            <textarea
-              className="w-full min-h-[240px] border rounded p-3"
-              value={raw}
-              onChange={(e) => setRaw(e.target.value)}
-              placeholder="Paste or generate your Night Report here…"
-            />
-            <div className="mt-2 flex gap-2">
-              <button className="border rounded px-3 py-2 text-sm" onClick={copyReport} disabled={!raw}>
-                Copy Night Report
-              </button>
-              <button className="border rounded px-3 py-2 text-sm" onClick={saveOverviewLocal}>
-                Save locally
-              </button>
+          <section className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <div className="lg:col-span-2">
+              <h3 className="text-md font-semibold mb-2">Night Report text (source)</h3>
+              <textarea
+                ref={reportTextRef}
+                className="w-full min-h-[240px] border rounded p-3"
+                value={raw}
+                onChange={(e) => setRaw(e.target.value)}
+                placeholder="Paste or generate your Night Report here…"
+              />
+              <div className="mt-2 flex gap-2">
+                <button className="border rounded px-3 py-2 text-sm" onClick={copyReport} disabled={!raw}>
+                  Copy Night Report
+                </button>
+                <button className="border rounded px-3 py-2 text-sm" onClick={saveOverviewLocal}>
+                  Save locally
+                </button>
+              </div>
+            </div>
+
+            {/* Lint panel: click an item to select the offending line */}
+            <div className="border rounded-2xl p-4 self-start">
+              <div className="font-semibold mb-2">
+                Report check{" "}
+                <span className="text-xs text-gray-500">
+                  ({reportDiagnostics.filter((d) => d.severity === "error").length} errors,{" "}
+                  {reportDiagnostics.filter((d) => d.severity === "warning").length} warnings)
+                </span>
+              </div>
+              {reportDiagnostics.length === 0 ? (
+                <div className="text-sm text-gray-500">{raw ? "No problems found." : "—"}</div>
+              ) : (
+                <ul className="flex flex-col gap-1 max-h-[320px] overflow-y-auto">
+                  {reportDiagnostics.map((d, i) => (
+                    <li key={i}>
+                      <button
+                        className={`w-full text-left text-xs px-2 py-1 rounded border ${
+                          d.severity === "error"
+                            ? "bg-red-50 border-red-300 text-red-900"
+                            : "bg-amber-50 border-amber-300 text-amber-900"
+                        }`}
+                        onClick={() => jumpToReportLine(d.line)}
+                        title="Jump to this line"
+                      >
+                        <b>Line {d.line}</b> — {d.message}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           </section>
 
-          {/* Modal with full details when a card is clicked */}
-          {detail && (
+          {/* Modal: per-tail editor; saving rewrites this tail's block in the source text */}
+          {detail && detailForm && (
             <div
               className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
-              onClick={() => setDetail(null)}
+              onClick={closeDetail}
             >
               <div
-                className="w-full max-w-2xl bg-white rounded-2xl shadow-xl border overflow-hidden"
+                className="w-full max-w-2xl max-h-full overflow-y-auto bg-white rounded-2xl shadow-xl border"
                 onClick={(e) => e.stopPropagation()}
                 role="dialog"
                 aria-modal="true"
@@ -1417,7 +2841,7 @@ export default function App() {
                   <div className="font-semibold">
                     Tail {detail.id} &nbsp; <span className="text-gray-500">({detail.code})</span>
                   </div>
-                  <button className="text-sm px-2 py-1 border rounded" onClick={() => setDetail(null)}>
+                  <button className="text-sm px-2 py-1 border rounded" onClick={closeDetail}>
                     Close
                   </button>
                 </div>
@@ -1425,45 +2849,108 @@ export default function App() {
                 <div className="p-4 space-y-3">
                   <div className="text-sm text-gray-500">
                     {reportTitle} — {selectedDate}
+                    {!detail.entry && " — not in the report yet; saving adds it at the end."}
                   </div>
 
-                  <div className="text-base font-medium">{detail.entry.title}</div>
-
-                  <div className="flex flex-wrap gap-2 text-xs">
-                    <span className="px-2 py-0.5 bg-gray-50 border rounded">{statusLabel(detail.entry.tag)}</span>
-                    {detail.entry.input && (
-                      <span className="px-2 py-0.5 bg-gray-50 border rounded">Input: {detail.entry.input}</span>
-                    )}
-                    {detail.entry.etr && (
-                      <span className="px-2 py-0.5 bg-gray-50 border rounded">ETR: {detail.entry.etr}</span>
-                    )}
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                    <label className="text-sm">
+                      <span className="block text-gray-700 mb-1">Status</span>
+                      <select
+                        className="w-full border rounded px-2 py-2 text-sm"
+                        value={TITLE_PRESETS.includes(detailForm.titleTail) ? detailForm.titleTail : ""}
+                        onChange={(e) => e.target.value && updateDetailForm({ titleTail: e.target.value })}
+                      >
+                        <option value="">Custom…</option>
+                        {TITLE_PRESETS.map((t) => (
+                          <option key={t} value={t}>{t}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="text-sm md:col-span-2">
+                      <span className="block text-gray-700 mb-1">Title ({detail.code} - …)</span>
+                      <input
+                        className="w-full border rounded px-3 py-2 text-sm"
+                        value={detailForm.titleTail}
+                        onChange={(e) => updateDetailForm({ titleTail: e.target.value })}
+                        placeholder="GR"
+                      />
+                    </label>
+                    <label className="text-sm">
+                      <span className="block text-gray-700 mb-1">Input</span>
+                      <input
+                        className="w-full border rounded px-3 py-2 text-sm"
+                        value={detailForm.input}
+                        onChange={(e) => updateDetailForm({ input: e.target.value })}
+                        placeholder="131800H Aug 25"
+                      />
+                    </label>
+                    <label className="text-sm">
+                      <span className="block text-gray-700 mb-1">ETR</span>
+                      <input
+                        className="w-full border rounded px-3 py-2 text-sm"
+                        value={detailForm.etr}
+                        onChange={(e) => updateDetailForm({ etr: e.target.value })}
+                        placeholder="15 Aug PM"
+                      />
+                    </label>
+                    <div className="text-sm self-end pb-2">
+                      <span className="px-2 py-0.5 bg-gray-50 border rounded text-xs">
+                        {statusLabel(detailPreview?.tag)}
+                      </span>
+                    </div>
+                    <label className="text-sm md:col-span-3">
+                      <span className="block text-gray-700 mb-1">Defect</span>
+                      <input
+                        className="w-full border rounded px-3 py-2 text-sm"
+                        value={detailForm.defect}
+                        onChange={(e) => updateDetailForm({ defect: e.target.value })}
+                      />
+                    </label>
+                    <label className="text-sm md:col-span-3">
+                      <span className="block text-gray-700 mb-1">Rect</span>
+                      <input
+                        className="w-full border rounded px-3 py-2 text-sm"
+                        value={detailForm.rect}
+                        onChange={(e) => updateDetailForm({ rect: e.target.value })}
+                      />
+                    </label>
+                    <label className="text-sm md:col-span-3">
+                      <span className="block text-gray-700 mb-1">Requirements (one per line; G/R and FCF start a group)</span>
+                      <textarea
+                        className="w-full min-h-[80px] border rounded p-2 text-sm"
+                        value={detailForm.requirements}
+                        onChange={(e) => updateDetailForm({ requirements: e.target.value })}
+                        placeholder={"G/R\nHover check"}
+                      />
+                    </label>
+                    <label className="text-sm md:col-span-3">
+                      <span className="block text-gray-700 mb-1">Notes (one per line)</span>
+                      <textarea
+                        className="w-full min-h-[80px] border rounded p-2 text-sm"
+                        value={detailForm.notes}
+                        onChange={(e) => updateDetailForm({ notes: e.target.value })}
+                      />
+                    </label>
                   </div>
 
-                  {detail.entry.notes?.length ? (
-                    <ul className="list-disc pl-5 text-sm space-y-1">
-                      {detail.entry.notes.map((n, i) => (
-                        <li key={i} className="whitespace-pre-wrap">{n}</li>
-                      ))}
-                    </ul>
-                  ) : (
-                    <div className="text-sm text-gray-500">No additional notes.</div>
+                  {detailBlockIssues > 0 && (
+                    <div className="text-xs text-amber-800 bg-amber-50 border border-amber-300 rounded p-2">
+                      {detailBlockIssues} flagged line(s) inside this tail's block will be replaced on save.
+                    </div>
                   )}
 
-                  <div className="pt-2">
+                  <div className="pt-2 flex flex-wrap gap-2">
+                    <button
+                      className="text-sm px-3 py-2 border rounded bg-blue-600 text-white"
+                      onClick={saveDetailToReport}
+                      title="Rewrite this tail's block in the Night Report text"
+                    >
+                      Save to report
+                    </button>
                     <button
                       className="text-sm px-3 py-2 border rounded"
                       onClick={() => {
-                        const e = detail.entry;
-                        const lines = [];
-                        lines.push(`${e.title}`);
-                        if (e.input) lines.push(`Input: ${e.input}`);
-                        if (e.etr) lines.push(`ETR: ${e.etr}`);
-                        if (e.notes?.length) {
-                          lines.push("");
-                          e.notes.forEach((ln) => lines.push(ln));
-                        }
-                        const blob = lines.join("\n");
-                        navigator.clipboard?.writeText(blob).then(
+                        navigator.clipboard?.writeText(serializeEntry(detailForm)).then(
                           () => alert("Details copied"),
                           () => alert("Could not copy (clipboard blocked)")
                         );
@@ -1549,13 +3036,37 @@ S2: Profile A, Profile C, 1/rev, 4/rev
                       )}
                     </div>
 
+                    {/* Cross-check against the Night Report status */}
+                    {rtsCheck && (
+                      <div
+                        className={`mt-3 border rounded px-3 py-2 text-xs ${
+                          rtsCheck.warnings.length ? "bg-amber-50 border-amber-400 text-amber-900" : "bg-gray-50 text-gray-600"
+                        }`}
+                      >
+                        {!rtsCheck.hasReport ? (
+                          `No Night Report for ${rtsCheck.date} to check against.`
+                        ) : rtsCheck.warnings.length === 0 ? (
+                          `Tasking is consistent with the ${rtsCheck.date} Night Report.`
+                        ) : (
+                          <>
+                            <div className="font-semibold mb-1">⚠️ Against the {rtsCheck.date} Night Report:</div>
+                            <ul className="list-disc pl-5 space-y-0.5">
+                              {rtsCheck.warnings.map((w, i) => (
+                                <li key={i} className={w.severity === "error" ? "text-red-800" : ""}>{w.message}</li>
+                              ))}
+                            </ul>
+                          </>
+                        )}
+                      </div>
+                    )}
+
                     {/* Missions */}
                     {rtsDaily.missions.length ? (
                       <div className="mt-3">
                         <div className="text-sm font-medium mb-1">Missions</div>
                         <div className="flex flex-wrap gap-2">
                           {rtsDaily.missions.map((m, i) => (
-                            <span key={i} className={chipMission}>
+                            <span key={i} className={chipMission} title={missionTitle(m)}>
                               {m.code ? `${m.code} — ${m.label}` : m.label}
                             </span>
                           ))}
@@ -1569,7 +3080,7 @@ S2: Profile A, Profile C, 1/rev, 4/rev
                         <div className="text-sm font-medium mb-1">Spare</div>
                         <div className="flex flex-wrap gap-2">
                           {rtsDaily.spares.map((m, i) => (
-                            <span key={i} className={chipSpare}>
+                            <span key={i} className={chipSpare} title={missionTitle(m)}>
                               {m.code ? `${m.code} — ${m.label}` : m.label}
                             </span>
                           ))}
@@ -1577,16 +3088,63 @@ S2: Profile A, Profile C, 1/rev, 4/rev
                       </div>
                     ) : null}
 
-                    {/* Healing */}
-                    {rtsDaily.healing.length ? (
+                    {/* Healing, with each tail's test profile checklist from Notes */}
+                    {rtsDaily.healing.length || healingTails.length ? (
                       <div className="mt-3">
                         <div className="text-sm font-medium mb-1">Healing</div>
-                        <div className="flex flex-wrap gap-2">
-                          {rtsDaily.healing.map((h, i) => (
-                            <span key={i} className={chipHealing}>
-                              {h.code ? `${h.code} — ${h.label}` : h.label}
-                            </span>
-                          ))}
+                        <div className="space-y-2">
+                          {healingTails.map(({ code, slots, profiles }) => {
+                            const done = profiles.filter((p) => rtsProfileTicks[profileTickKey(code, p)]).length;
+                            return (
+                              <div key={code} className="border rounded p-2">
+                                <div className="flex flex-wrap items-center gap-2">
+                                  {slots.length ? (
+                                    slots.map((h, i) => (
+                                      <span key={i} className={chipHealing} title={missionTitle(h)}>
+                                        {`${h.code} — ${h.label}`}
+                                      </span>
+                                    ))
+                                  ) : (
+                                    <span className="text-xs font-medium">{code} — no healing slot</span>
+                                  )}
+                                  {profiles.length > 0 && (
+                                    <span
+                                      className={`text-xs ml-auto ${done === profiles.length ? "text-green-700" : "text-gray-500"}`}
+                                    >
+                                      {done}/{profiles.length} profiles done
+                                    </span>
+                                  )}
+                                </div>
+                                {profiles.length > 0 && (
+                                  <ul className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-sm">
+                                    {profiles.map((p) => (
+                                      <li key={p}>
+                                        <label className="flex items-center gap-1">
+                                          <input
+                                            type="checkbox"
+                                            checked={!!rtsProfileTicks[profileTickKey(code, p)]}
+                                            onChange={() => toggleProfileTick(code, p)}
+                                          />
+                                          <span
+                                            className={rtsProfileTicks[profileTickKey(code, p)] ? "line-through text-gray-500" : ""}
+                                          >
+                                            {p}
+                                          </span>
+                                        </label>
+                                      </li>
+                                    ))}
+                                  </ul>
+                                )}
+                              </div>
+                            );
+                          })}
+                          {rtsDaily.healing.some((h) => !h.code) && (
+                            <div className="flex flex-wrap gap-2">
+                              {rtsDaily.healing.filter((h) => !h.code).map((h, i) => (
+                                <span key={i} className={chipHealing} title={missionTitle(h)}>{h.label}</span>
+                              ))}
+                            </div>
+                          )}
                         </div>
                       </div>
                     ) : null}
@@ -1624,6 +3182,178 @@ S2: Profile A, Profile C, 1/rev, 4/rev
                 )}
               </div>
             </div>
+
+            {/* Daily timeline: one lane per tail, 24h axis */}
+            {rtsTimeline && (
+              <div className="mt-4 border rounded-2xl p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-semibold">Timeline</div>
+                  <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+                    <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded bg-amber-300" /> Mission</span>
+                    <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded bg-gray-300" /> Spare</span>
+                    <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded bg-blue-300" /> Healing</span>
+                    <span className="flex items-center gap-1"><span className="inline-block w-1 h-3 bg-red-600" /> Hot ⛽️</span>
+                    <span className="flex items-center gap-1"><span className="inline-block w-1 h-3 bg-cyan-600" /> Cold ⛽️</span>
+                    <span className="flex items-center gap-1"><span className="inline-block w-0 h-3 border-l-2 border-dashed border-purple-500" /> Ops Brief</span>
+                  </div>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <div className="min-w-[640px]">
+                    {/* Hour axis */}
+                    <div className="flex">
+                      <div className="w-10 shrink-0" />
+                      <div className="relative flex-1 h-5 text-[10px] text-gray-500">
+                        {Array.from({ length: rtsTimeline.axisEnd / 120 + 1 }, (_, k) => k * 120).map((min) => (
+                          <span key={min} className="absolute -translate-x-1/2" style={{ left: timelinePct(min) }}>
+                            {formatMinutes(min).slice(0, 2)}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="flex">
+                      <div className="w-10 shrink-0">
+                        {rtsTimeline.lanes.map((lane) => (
+                          <div key={lane.code} className="h-7 flex items-center text-xs font-medium">{lane.code}</div>
+                        ))}
+                      </div>
+                      <div className="relative flex-1">
+                        {/* Hour grid */}
+                        {Array.from({ length: rtsTimeline.axisEnd / 60 + 1 }, (_, k) => k * 60).map((min) => (
+                          <div
+                            key={min}
+                            className={`absolute top-0 bottom-0 border-l ${min % 1440 === 0 ? "border-gray-400" : "border-gray-100"}`}
+                            style={{ left: timelinePct(min) }}
+                          />
+                        ))}
+
+                        {rtsTimeline.lanes.map((lane) => (
+                          <div key={lane.code} className="relative h-7 border-b border-gray-100">
+                            {lane.bars.map((b, i) => (
+                              <div
+                                key={i}
+                                className={`absolute top-1 bottom-1 rounded border text-[10px] px-1 overflow-hidden whitespace-nowrap ${timelineBarClass[b.kind]}`}
+                                style={{ left: timelinePct(b.start), width: timelinePct(b.end - b.start) }}
+                                title={`${lane.code} ${b.kind}: ${b.item.label}${missionTitle(b.item) ? ` · ${missionTitle(b.item)}` : ""}`}
+                              >
+                                {b.kind === "spare" ? "Spare" : (b.item.types || []).join("/") || b.item.label}
+                              </div>
+                            ))}
+                            {lane.refuels.map((r, i) => (
+                              <div
+                                key={`r${i}`}
+                                className={`absolute top-0 bottom-0 w-1 rounded ${r.kind === "hot" ? "bg-red-600" : "bg-cyan-600"}`}
+                                style={{ left: timelinePct(r.time) }}
+                                title={`${lane.code} ${r.kind} refuel ${formatMinutes(r.time)}`}
+                              />
+                            ))}
+                          </div>
+                        ))}
+
+                        {/* Fleet-wide markers (Ops Brief, refuels without a tail) */}
+                        {rtsTimeline.markers.map((mk, i) => (
+                          <div
+                            key={`m${i}`}
+                            className={`absolute top-0 bottom-0 border-l-2 ${
+                              mk.kind === "ops" ? "border-dashed border-purple-500" : mk.kind === "hot" ? "border-red-600" : "border-cyan-600"
+                            }`}
+                            style={{ left: timelinePct(mk.time) }}
+                            title={`${mk.kind === "ops" ? "Ops Brief" : `${mk.kind === "hot" ? "Hot" : "Cold"} refuel`} ${formatMinutes(mk.time)}`}
+                          />
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+
+                {rtsTimeline.unplaced.length > 0 && (
+                  <div className="mt-2 text-xs text-gray-500">
+                    Not on the timeline (no tail or no time window):{" "}
+                    {rtsTimeline.unplaced.map((m) => (m.code ? `${m.code} ${m.label}` : m.label)).join(" · ")}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Refuel board (Hot / Cold sections) */}
+            {refuelPlan && (
+              <div className="mt-4 border rounded-2xl p-4">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                  <div className="font-semibold">Refuel plan ⛽️</div>
+                  <div className="flex items-center gap-2 text-sm">
+                    <label className="flex items-center gap-1">
+                      <span className="text-gray-700">Min. separation</span>
+                      <input
+                        type="number"
+                        min="0"
+                        className="w-16 border rounded p-1 text-sm"
+                        value={refuelSeparation}
+                        onChange={(e) => setRefuelSeparation(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                      />
+                      <span className="text-gray-500">min</span>
+                    </label>
+                    <button
+                      className="border rounded px-3 py-1"
+                      onClick={copyRefuelBrief}
+                      disabled={!refuelPlan.events.length}
+                    >
+                      Copy refuel brief
+                    </button>
+                  </div>
+                </div>
+
+                {refuelPlan.events.length === 0 ? (
+                  <div className="text-sm text-gray-500">No Hot or Cold refuels in this RTS.</div>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="md:col-span-2 overflow-x-auto">
+                      <table className="w-full text-sm border rounded">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="border px-2 py-1 text-left">Time</th>
+                            <th className="border px-2 py-1 text-left">Tail</th>
+                            <th className="border px-2 py-1 text-left">Type</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {refuelPlan.events.map((e, i) => (
+                            <tr key={i} className={e.clash ? "bg-red-50" : ""}>
+                              <td className="border px-2 py-1 font-mono">{formatMinutes(e.time)}</td>
+                              <td className="border px-2 py-1">{e.code || "—"}</td>
+                              <td className="border px-2 py-1">
+                                {e.kind === "hot" ? "Hot" : "Cold"}
+                                {e.clash && (
+                                  <span className="ml-2 text-xs text-red-700">
+                                    ⚠️ within {refuelSeparation} min of another hot refuel
+                                  </span>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <div>
+                      <div className="text-sm font-medium mb-1">Per tail</div>
+                      <ul className="text-sm space-y-1">
+                        {refuelPlan.perTail.map((t) => (
+                          <li key={t.code || "none"} className="flex justify-between border rounded px-2 py-1">
+                            <span>{t.code || "No tail given"}</span>
+                            <span className="text-gray-600">{t.hot} hot · {t.cold} cold</span>
+                          </li>
+                        ))}
+                      </ul>
+                      {refuelPlan.clashes.length > 0 && (
+                        <div className="mt-2 text-xs text-red-700">
+                          {refuelPlan.clashes.length} clash(es) under {refuelSeparation} min.
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
           </section>
 
           {/* RTS: Weekly */}
@@ -1660,13 +3390,45 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
               </div>
 
               <div className="grid grid-cols-1 gap-4">
+                {/* Calendar checks: duplicates, gaps, order, weekday vs date */}
+                {rtsWeek.length > 0 && (
+                  <div
+                    className={`border rounded px-3 py-2 text-xs ${
+                      rtsWeekParse.issues.length ? "bg-amber-50 border-amber-400 text-amber-900" : "bg-gray-50 text-gray-600"
+                    }`}
+                  >
+                    {rtsWeekParse.issues.length === 0 ? (
+                      `${rtsWeek.length} day(s), ${formatDayHeader(rtsWeek[0].dateISO)} – ${formatDayHeader(
+                        rtsWeek[rtsWeek.length - 1].dateISO
+                      )} ${rtsWeek[rtsWeek.length - 1].dateISO?.slice(0, 4) || ""}: dates look consistent.`
+                    ) : (
+                      <>
+                        <div className="font-semibold mb-1">⚠️ Check the plan’s dates:</div>
+                        <ul className="list-disc pl-5 space-y-0.5">
+                          {rtsWeekParse.issues.map((iss, i) => (
+                            <li key={i} className={iss.severity === "error" ? "text-red-800" : ""}>{iss.message}</li>
+                          ))}
+                        </ul>
+                      </>
+                    )}
+                  </div>
+                )}
+
                 {rtsWeek.length === 0 ? (
                   <div className="text-sm text-gray-500 border rounded p-4">Paste a WEEKLY plan to preview.</div>
                 ) : (
                   rtsWeek.map((day, idx) => (
-                    <div key={idx} className="border rounded-2xl p-4">
+                    <div
+                      key={idx}
+                      className={`border rounded-2xl p-4 ${
+                        rtsWeekParse.issues.some((iss) => iss.day === idx) ? "border-amber-400" : ""
+                      }`}
+                    >
                       <div className="flex items-center justify-between">
-                        <div className="font-semibold">{day.dateLabel}</div>
+                        <div className="font-semibold">
+                          {day.dateLabel}
+                          {day.dateISO && <span className="ml-2 text-xs font-normal text-gray-500">{day.dateISO}</span>}
+                        </div>
                         {day.dateISO && (
                           <button
                             className="text-xs underline text-blue-700"
@@ -1687,7 +3449,7 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
                           <div className="text-sm font-medium mb-1">Missions</div>
                           <div className="flex flex-wrap gap-2">
                             {day.missions.map((m, i) => (
-                              <span key={i} className={chipMission}>
+                              <span key={i} className={chipMission} title={missionTitle(m)}>
                                 {m.code ? `${m.code} — ${m.label}` : m.label}
                               </span>
                             ))}
@@ -1701,7 +3463,7 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
                           <div className="text-sm font-medium mb-1">Spare</div>
                           <div className="flex flex-wrap gap-2">
                             {day.spares.map((m, i) => (
-                              <span key={i} className={chipSpare}>
+                              <span key={i} className={chipSpare} title={missionTitle(m)}>
                                 {m.code ? `${m.code} — ${m.label}` : m.label}
                               </span>
                             ))}
@@ -1715,7 +3477,7 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
                           <div className="text-sm font-medium mb-1">Healing</div>
                           <div className="flex flex-wrap gap-2">
                             {day.healing.map((h, i) => (
-                              <span key={i} className={chipHealing}>
+                              <span key={i} className={chipHealing} title={missionTitle(h)}>
                                 {h.code ? `${h.code} — ${h.label}` : h.label}
                               </span>
                             ))}
@@ -1755,6 +3517,92 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
                 )}
               </div>
             </div>
+
+            {/* Utilisation summary for the week */}
+            {rtsWeekSummary && (
+              <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-4">
+                <div className="border rounded-2xl p-4 overflow-x-auto">
+                  <div className="font-semibold mb-2">Utilisation per tail</div>
+                  <table className="w-full text-sm border rounded">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="border px-2 py-1 text-left">Tail</th>
+                        <th className="border px-2 py-1 text-right">Sorties</th>
+                        <th className="border px-2 py-1 text-right">Planned hrs</th>
+                        <th className="border px-2 py-1 text-left">Share of hrs</th>
+                        <th className="border px-2 py-1 text-right">Spare days</th>
+                        <th className="border px-2 py-1 text-right">Healing slots</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rtsWeekSummary.tails.map((t) => {
+                        const share = rtsWeekSummary.totals.minutes ? t.minutes / rtsWeekSummary.totals.minutes : 0;
+                        return (
+                          <tr key={t.code}>
+                            <td className="border px-2 py-1">{t.code}</td>
+                            <td className="border px-2 py-1 text-right">{t.sorties}</td>
+                            <td className="border px-2 py-1 text-right">{(t.minutes / 60).toFixed(1)}</td>
+                            <td className="border px-2 py-1">
+                              <div className="flex items-center gap-2">
+                                <div className="flex-1 h-2 bg-gray-100 rounded">
+                                  <div className="h-2 bg-amber-400 rounded" style={{ width: `${share * 100}%` }} />
+                                </div>
+                                <span className="text-xs text-gray-600 w-9 text-right">{Math.round(share * 100)}%</span>
+                              </div>
+                            </td>
+                            <td className="border px-2 py-1 text-right">{t.spareDays}</td>
+                            <td className="border px-2 py-1 text-right">{t.healing}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                    <tfoot className="bg-gray-50 font-medium">
+                      <tr>
+                        <td className="border px-2 py-1">Total</td>
+                        <td className="border px-2 py-1 text-right">{rtsWeekSummary.totals.sorties}</td>
+                        <td className="border px-2 py-1 text-right">{(rtsWeekSummary.totals.minutes / 60).toFixed(1)}</td>
+                        <td className="border px-2 py-1" />
+                        <td className="border px-2 py-1 text-right">{rtsWeekSummary.totals.spareDays}</td>
+                        <td className="border px-2 py-1 text-right">{rtsWeekSummary.totals.healing}</td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                  <div className="text-xs text-gray-500 mt-1">
+                    Hours come from mission windows; ground-only mission types are not counted.
+                  </div>
+                </div>
+
+                <div className="border rounded-2xl p-4 overflow-x-auto">
+                  <div className="font-semibold mb-2">By mission type</div>
+                  {rtsWeekSummary.types.length === 0 ? (
+                    <div className="text-sm text-gray-500">No mission types in this plan.</div>
+                  ) : (
+                    <table className="w-full text-sm border rounded">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="border px-2 py-1 text-left">Type</th>
+                          <th className="border px-2 py-1 text-right">Sorties</th>
+                          <th className="border px-2 py-1 text-right">Hrs</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rtsWeekSummary.types.map((t) => (
+                          <tr key={t.code}>
+                            <td className="border px-2 py-1">
+                              <span className="font-medium">{t.code}</span>{" "}
+                              <span className="text-gray-500">{t.name !== t.code ? t.name : ""}</span>
+                            </td>
+                            <td className="border px-2 py-1 text-right">{t.sorties}</td>
+                            <td className="border px-2 py-1 text-right">{(t.minutes / 60).toFixed(1)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  <div className="text-xs text-gray-500 mt-1">A sortie flying several types counts toward each.</div>
+                </div>
+              </div>
+            )}
           </section>
         </>
       )}
@@ -1818,6 +3666,116 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
             </div>
           </section>
 
+          {/* Telegram Desktop export (result.json): pick a range, tick the messages to include */}
+          <section className="mb-6">
+            <h2 className="text-lg font-semibold mb-2">Import Telegram export (result.json)</h2>
+            <div
+              className="border-2 border-dashed rounded-2xl p-4 text-sm text-gray-600"
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => {
+                e.preventDefault();
+                loadTelegramExport(e.dataTransfer.files?.[0]);
+              }}
+            >
+              <div className="flex flex-wrap items-end gap-3">
+                <label className="text-sm">
+                  <span className="block text-gray-700 mb-1">Drop result.json here or choose a file</span>
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    className="text-sm"
+                    onChange={(e) => {
+                      loadTelegramExport(e.target.files?.[0]);
+                      e.target.value = "";
+                    }}
+                  />
+                </label>
+                {tgExport && (
+                  <>
+                    <label className="text-sm">
+                      <span className="block text-gray-700 mb-1">From</span>
+                      <input
+                        type="date"
+                        className="border rounded px-3 py-2 text-sm"
+                        value={tgFrom}
+                        onChange={(e) => setTgFrom(e.target.value)}
+                      />
+                    </label>
+                    <label className="text-sm">
+                      <span className="block text-gray-700 mb-1">To</span>
+                      <input
+                        type="date"
+                        className="border rounded px-3 py-2 text-sm"
+                        value={tgTo}
+                        onChange={(e) => setTgTo(e.target.value)}
+                      />
+                    </label>
+                    <button className="border rounded px-3 py-2 text-sm" onClick={() => setTgExport(null)}>
+                      Clear
+                    </button>
+                  </>
+                )}
+              </div>
+              {tgExport && (
+                <div className="mt-2 text-xs text-gray-500">
+                  {tgExport.fileName}: {tgExport.messages.length} messages, {tgExportRows.length} in range,{" "}
+                  {tgExportRows.filter(tgIncluded).length} included.
+                </div>
+              )}
+            </div>
+
+            {tgExport && (
+              tgExportRows.length === 0 ? (
+                <div className="text-sm text-gray-500 mt-3">No messages in this date range.</div>
+              ) : (
+                <ul className="mt-3 border rounded divide-y max-h-[420px] overflow-y-auto">
+                  {tgExportRows.map((r) => (
+                    <li key={r.id} className={`p-2 text-sm flex items-start gap-3 ${r.code ? "" : "opacity-60"}`}>
+                      <input
+                        type="checkbox"
+                        className="mt-1"
+                        checked={tgIncluded(r)}
+                        disabled={!r.code}
+                        onChange={() => setTgTicked((prev) => ({ ...prev, [r.id]: !tgIncluded(r) }))}
+                        title={r.code ? "Include in the Night Report" : "Pick the tail for this message first"}
+                      />
+                      <div className="min-w-0 flex-1">
+                        <div className="text-xs text-gray-500">
+                          {r.date} {r.time}
+                          {r.from ? ` • ${r.from}` : ""}
+                          {" • "}
+                          {r.matched ? (
+                            <b className="text-gray-800">{r.code}</b>
+                          ) : (
+                            <select
+                              className="border rounded px-1 py-0.5 text-xs"
+                              value={r.code || ""}
+                              onChange={(e) => setTgTails((prev) => ({ ...prev, [r.id]: e.target.value }))}
+                              title="No single tail found in this message; pick one"
+                            >
+                              <option value="">no tail found</option>
+                              {fleetTails.map((t) => (
+                                <option key={t.id} value={t.code}>{t.code} ({t.id})</option>
+                              ))}
+                            </select>
+                          )}
+                        </div>
+                        {r.defect?.defect ? (
+                          <div>
+                            Defect: {r.defect.defect}
+                            {r.defect.etr ? <span className="text-gray-500"> — ETR: {r.defect.etr}</span> : null}
+                          </div>
+                        ) : (
+                          <div className="whitespace-pre-wrap text-gray-600 line-clamp-3">{r.text}</div>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )
+            )}
+          </section>
+
           <section>
             <h3 className="text-md font-semibold mb-2">Night Report text (source)</h3>
             <textarea
@@ -1851,6 +3809,14 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
             <div className="flex items-center justify-between mb-3">
               <h2 className="text-xl font-semibold">HOTO Checker</h2>
               <div className="flex gap-2">
+                <button
+                  className="px-3 py-2 text-sm border rounded bg-emerald-600 text-white"
+                  onClick={generateHandover}
+                  disabled={!hotoRaw}
+                  title="Build the next shift's HOTO from this one"
+                >
+                  Generate handover
+                </button>
                 <button className="px-3 py-2 text-sm border rounded" onClick={saveHOTOLocal}>
                   Save locally
                 </button>
@@ -1922,20 +3888,36 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
                             {code} {group.tag ? <span className="text-xs text-gray-600">({group.tag})</span> : null}
                           </div>
                           <div className="flex flex-col gap-1 mt-1">
-                            {group.items.filter((t) => !isMoved(code, t)).map((t, i) => {
-                              const key = `${code}|${t}`;
-                              const done = !!hotoTicks[key];
+                            {(hotoIds.items[code] || []).filter((it) => !isMoved(it)).map((it) => {
+                              const t = it.text;
+                              const done = isTicked(it);
+                              const older = hotoIds.registry[it.id]?.history || [];
                               return (
-                                <label key={i} className="flex items-start gap-2 text-sm">
+                                <label
+                                  key={it.id}
+                                  className="flex items-start gap-2 text-sm"
+                                  title={older.length ? `Previously: ${older.join(" / ")}` : undefined}
+                                >
                                   <input
                                     type="checkbox"
                                     className="mt-0.5"
                                     checked={done}
-                                    onChange={() => toggleTick(code, t)}
+                                    onChange={() => toggleTick(it)}
                                     title="Mark done (tick is saved with Save button)"
                                   />
                                   <span className={done ? "line-through text-gray-500" : ""}>
                                     {t.startsWith("> ") ? <span className="ml-4">{t.slice(2)}</span> : t}
+                                    {older.length ? <span className="ml-1 text-xs text-gray-400">(edited)</span> : null}
+                                    {hotoAges[it.id]?.nights > 1 && (
+                                      <span
+                                        className={`ml-2 text-xs px-1 rounded border ${
+                                          hotoAges[it.id].nights >= 7 ? "bg-red-100 border-red-300" : "bg-white"
+                                        }`}
+                                        title={`First seen ${hotoAges[it.id].firstSeen}`}
+                                      >
+                                        {hotoAges[it.id].nights} nights
+                                      </span>
+                                    )}
                                   </span>
                                 </label>
                               );
@@ -1950,21 +3932,51 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
 
             </div>
 
+            {/* Oldest outstanding across the fleet (aging from earlier nights' HOTOs) */}
+            {agingRows.length > 0 && (
+              <div className="mt-4 border rounded-2xl p-4">
+                <div className="font-semibold mb-2">
+                  Oldest outstanding{" "}
+                  <span className="text-xs text-gray-500 font-normal">
+                    (matched back through up to {HOTO_LOOKBACK_NIGHTS} earlier nights)
+                  </span>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm border rounded">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {[
+                          ["code", "Tail"],
+                          ["text", "Item"],
+                          ["firstSeen", "First seen"],
+                          ["nights", "Nights outstanding"],
+                        ].map(([key, label]) => (
+                          <th key={key} className="border px-2 py-1 text-left">
+                            <button className="font-medium" onClick={() => sortAgingBy(key)}>
+                              {label}
+                              {agingSort.key === key ? (agingSort.dir === "desc" ? " ▼" : " ▲") : ""}
+                            </button>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {agingRows.map((r) => (
+                        <tr key={r.id} className={r.nights >= 7 ? "bg-red-50" : ""}>
+                          <td className="border px-2 py-1">{r.code}</td>
+                          <td className="border px-2 py-1">{r.text}</td>
+                          <td className="border px-2 py-1">{r.firstSeen}</td>
+                          <td className="border px-2 py-1">{r.nights}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mt-4">
-              {[
-                ["proj14", "• 14D SERV PROJECTION"],
-                ["proj28", "• 28D SERV PROJECTION"],
-                ["proj56", "• 56D SERV PROJECTION"],
-                ["proj112", "• 112D SERV PROJECTION"],
-                ["proj112150", "• 112D/150Hrly PROJECTION"],
-                ["proj180", "• 180D SERV PROJECTION"],
-                ["eoss", "■ EOSS Status"],
-                ["mee", "■ MEE"],
-                ["bru", "■ BRU Status"],
-                ["probe", "■ Probe Status"],
-                ["aom", "● AOM"],
-                ["lessons", "● Lesson learnt"],
-              ].map(([key, title]) => (
+              {HOTO_EXTRA_SECTIONS.map(([key, title]) => (
                 <div key={key} className="border rounded-2xl p-4">
                   <div className="font-semibold mb-2">{title}</div>
                   {hoto.extra[key]?.length ? (
@@ -1979,6 +3991,28 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
                 </div>
               ))}
             </div>
+
+            {/* Generated handover for the next shift (editable before copying) */}
+            {handoverText != null && (
+              <div className="mt-6">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-md font-semibold">Handover HOTO (next shift)</h3>
+                  <div className="flex gap-2">
+                    <button className="px-3 py-2 text-sm border rounded" onClick={copyHandover}>
+                      Copy handover
+                    </button>
+                    <button className="px-3 py-2 text-sm border rounded" onClick={() => setHandoverText(null)}>
+                      Close
+                    </button>
+                  </div>
+                </div>
+                <textarea
+                  className="w-full min-h-[320px] border rounded p-3 font-mono text-sm"
+                  value={handoverText}
+                  onChange={(e) => setHandoverText(e.target.value)}
+                />
+              </div>
+            )}
           </section>
         </>
       )}
@@ -2046,12 +4080,20 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
                     return (
                       <tr key={r.id} className={`${classes}`}>
                         <td className="border px-2 py-1">
-                          <input
-                            className="w-24 border rounded px-2 py-1"
+                          <select
+                            className="border rounded px-2 py-1"
                             value={r.tail || ""}
                             onChange={(e) => updateServiceRow(r.id, { tail: e.target.value })}
-                            placeholder="e.g., 253"
-                          />
+                          >
+                            <option value="">—</option>
+                            {fleetTails.map((t) => (
+                              <option key={t.id} value={String(t.id)}>{t.id} ({t.code})</option>
+                            ))}
+                            {/* Keep rows for retired/unknown tails readable */}
+                            {r.tail && !fleetTails.some((t) => String(t.id) === String(r.tail)) && (
+                              <option value={r.tail}>{r.tail}</option>
+                            )}
+                          </select>
                         </td>
                         <td className="border px-2 py-1">
                           <select
@@ -2326,6 +4368,1060 @@ S2 Profile A, Profile C, 1/Rev, 4/Rev
         </>
       )}
 
+      {tab === "tail" && historyTail && tailHistory && (
+        <section className="mb-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <div>
+              <h2 className="text-xl font-semibold">
+                {historyTail.code} ({historyTail.id}) — history
+              </h2>
+              <p className="text-xs text-gray-500">
+                {historyTail.type ? `${historyTail.type} · ` : ""}
+                {tailHistory.strip.length} saved date(s); {tailHistory.days.length} with entries for this tail.
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <select
+                className="border rounded px-2 py-1 text-sm"
+                value={historyTail.code}
+                onChange={(e) => setHistoryTail(fleetTails.find((t) => t.code === e.target.value) || historyTail)}
+              >
+                {fleetTails.map((t) => (
+                  <option key={t.code} value={t.code}>{t.code} ({t.id})</option>
+                ))}
+              </select>
+              <button className="border rounded px-3 py-1 text-sm" onClick={() => setTab("overview")}>
+                ← Overview
+              </button>
+            </div>
+          </div>
+
+          {/* Day strip: status on every saved date, oldest → newest */}
+          <div className="border rounded-2xl p-3 mb-4">
+            <div className="flex flex-wrap gap-0.5">
+              {tailHistory.strip.map((d) => (
+                <button
+                  key={d.date}
+                  className={`w-3 h-6 rounded-sm ${STATUS_DOT[d.tag] || "bg-gray-200"} ${
+                    d.date === selectedDate ? "ring-2 ring-offset-1 ring-gray-700" : ""
+                  }`}
+                  title={`${d.date} — ${d.tag === "none" ? "not on the report" : statusLabel(d.tag)}`}
+                  onClick={() => openDateFromHistory(d.date)}
+                />
+              ))}
+            </div>
+            <div className="mt-2 flex flex-wrap gap-3 text-xs text-gray-600">
+              {Object.keys(STATUS_DOT).map((tag) => (
+                <span key={tag} className="flex items-center gap-1">
+                  <span className={`inline-block w-2.5 h-2.5 rounded-sm ${STATUS_DOT[tag]}`} /> {statusLabel(tag)}
+                </span>
+              ))}
+              <span className="flex items-center gap-1">
+                <span className="inline-block w-2.5 h-2.5 rounded-sm bg-gray-200" /> Not on the report
+              </span>
+            </div>
+          </div>
+
+          {/* Chronological timeline, newest first */}
+          {tailHistory.days.length === 0 ? (
+            <div className="text-sm text-gray-500 border rounded p-4">Nothing saved for {historyTail.code} yet.</div>
+          ) : (
+            <ol className="space-y-3">
+              {tailHistory.days.map((d) => (
+                <li key={d.date} className={`border rounded-2xl p-3 ${d.entry ? statusToClasses(d.entry.tag) : ""}`}>
+                  <div className="flex items-center justify-between mb-1">
+                    <div className="font-semibold">{formatDayHeader(d.date)} {d.date.slice(0, 4)}</div>
+                    {cloudDates.some((x) => x.id === d.date) && (
+                      <button className="text-xs underline text-blue-700" onClick={() => openDateFromHistory(d.date)}>
+                        Open this date
+                      </button>
+                    )}
+                  </div>
+
+                  {d.entry && (
+                    <div className="text-sm mb-2">
+                      <div className="font-medium">
+                        {d.entry.title}
+                        <span className="ml-2 text-xs px-2 py-0.5 bg-white border rounded">{statusLabel(d.entry.tag)}</span>
+                      </div>
+                      {(d.entry.input || d.entry.etr) && (
+                        <div className="text-xs text-gray-600">
+                          {d.entry.input && `Input: ${d.entry.input}`}
+                          {d.entry.input && d.entry.etr && " · "}
+                          {d.entry.etr && `ETR: ${d.entry.etr}`}
+                        </div>
+                      )}
+                      {d.entry.notes?.length > 0 && (
+                        <ul className="list-disc pl-5 mt-1">
+                          {d.entry.notes.map((n, i) => <li key={i}>{n}</li>)}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+
+                  {(d.hotoOutstanding.length > 0 || d.hotoCompleted.length > 0) && (
+                    <div className="text-sm mb-2">
+                      <div className="text-xs font-medium text-gray-700">HOTO</div>
+                      <ul className="pl-5 list-disc">
+                        {d.hotoOutstanding.map((t, i) => <li key={`o${i}`}>🟥 {t}</li>)}
+                        {d.hotoCompleted.map((t, i) => <li key={`c${i}`} className="text-gray-600">🟩 {t}</li>)}
+                      </ul>
+                    </div>
+                  )}
+
+                  {(d.rts.length > 0 || d.profiles.length > 0) && (
+                    <div className="text-sm mb-2">
+                      <div className="text-xs font-medium text-gray-700">RTS</div>
+                      <div className="flex flex-wrap gap-2">
+                        {d.rts.map((r, i) => (
+                          <span
+                            key={i}
+                            className={r.kind === "mission" ? chipMission : r.kind === "spare" ? chipSpare : chipHealing}
+                          >
+                            {r.label}
+                          </span>
+                        ))}
+                      </div>
+                      {d.profiles.length > 0 && (
+                        <div className="text-xs text-gray-600 mt-1">Test profiles: {d.profiles.join(", ")}</div>
+                      )}
+                    </div>
+                  )}
+
+                  {d.servicing.length > 0 && (
+                    <div className="text-sm">
+                      <div className="text-xs font-medium text-gray-700">Servicing</div>
+                      <ul className="pl-5 list-disc">
+                        {d.servicing.map((sv, i) => (
+                          <li key={i}>
+                            {sv.row.type} — {sv.what === "input" ? "input" : sv.what === "output" ? "output" : "due"}
+                            {sv.row.remarks ? ` (${sv.row.remarks})` : ""}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </section>
+      )}
+
+      {tab === "trends" && (
+        <section className="mb-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <div>
+              <h2 className="text-xl font-semibold">Fleet availability</h2>
+              <p className="text-xs text-gray-500">
+                From each saved Night Report. Availability = serviceable tails ÷ {fleetCodes.length} active tails;
+                per tail = serviceable nights ÷ nights it was on the report.
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              {[...Object.entries(RANGES), ["all", { label: "All" }]].map(([key, r]) => (
+                <button
+                  key={key}
+                  className={`border rounded px-3 py-1 text-sm ${trendRange === key ? "bg-blue-600 text-white border-blue-600" : ""}`}
+                  onClick={() => setTrendRange(key)}
+                >
+                  {r.label}
+                </button>
+              ))}
+              <button className="border rounded px-3 py-1 text-sm" onClick={downloadTrendCSV} disabled={!trendDays.length}>
+                Export CSV
+              </button>
+            </div>
+          </div>
+
+          {trendDays.length === 0 ? (
+            <div className="text-sm text-gray-500 border rounded p-4">No saved Night Reports in this range.</div>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+              <div className="lg:col-span-2 border rounded-2xl p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-medium">Daily status counts</div>
+                  <div className="text-sm">
+                    Avg availability: <span className="font-semibold">{trendSeries.fleetPct.toFixed(0)}%</span>
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <div className="flex flex-col justify-between text-[10px] text-gray-500 h-48">
+                    <span>100%</span>
+                    <span>50%</span>
+                    <span>0%</span>
+                  </div>
+                  <svg
+                    className="flex-1 h-48 border-l border-b"
+                    viewBox={`0 0 ${trendSeries.daily.length * 10} 100`}
+                    preserveAspectRatio="none"
+                  >
+                    {trendSeries.daily.map((d, i) => {
+                      let y = 100;
+                      return [...STATUS_TAGS, "none"].map((tag) => {
+                        const h = fleetCodes.length ? (d.counts[tag] / fleetCodes.length) * 100 : 0;
+                        if (!h) return null;
+                        y -= h;
+                        return (
+                          <rect
+                            key={`${d.date}-${tag}`}
+                            x={i * 10 + 1}
+                            y={y}
+                            width={8}
+                            height={h}
+                            className={STATUS_FILL[tag]}
+                          >
+                            <title>{`${d.date}: ${d.counts[tag]} ${tag === "none" ? "not reported" : statusLabel(tag)}`}</title>
+                          </rect>
+                        );
+                      });
+                    })}
+                    <polyline
+                      fill="none"
+                      className="stroke-gray-900"
+                      strokeWidth="2"
+                      vectorEffect="non-scaling-stroke"
+                      points={trendSeries.daily.map((d, i) => `${i * 10 + 5},${100 - d.pct}`).join(" ")}
+                    />
+                  </svg>
+                </div>
+                <div className="flex justify-between text-[10px] text-gray-500 ml-8">
+                  <span>{trendSeries.daily[0].date}</span>
+                  <span>{trendSeries.daily[trendSeries.daily.length - 1].date}</span>
+                </div>
+                <div className="mt-2 flex flex-wrap gap-3 text-xs text-gray-600">
+                  {[...STATUS_TAGS, "none"].map((tag) => (
+                    <span key={tag} className="flex items-center gap-1">
+                      <svg className="w-2.5 h-2.5"><rect width="10" height="10" className={STATUS_FILL[tag]} /></svg>
+                      {tag === "none" ? "Not reported" : statusLabel(tag)}
+                    </span>
+                  ))}
+                  <span className="flex items-center gap-1">
+                    <span className="inline-block w-4 border-t-2 border-gray-900" /> Availability %
+                  </span>
+                </div>
+              </div>
+
+              <div className="border rounded-2xl p-4">
+                <div className="font-medium mb-2">Availability per tail</div>
+                <ul className="space-y-2 text-sm">
+                  {trendSeries.perTail.map((t) => (
+                    <li key={t.code}>
+                      <div className="flex justify-between">
+                        <span>{t.code}</span>
+                        <span className="text-gray-600">
+                          {t.pct == null ? "—" : `${t.pct.toFixed(0)}%`}{" "}
+                          <span className="text-xs">({t.serviceable}/{t.reported})</span>
+                        </span>
+                      </div>
+                      <div className="h-2 bg-gray-100 rounded">
+                        <div
+                          className={`h-2 rounded ${t.pct != null && t.pct < 50 ? "bg-red-500" : "bg-green-500"}`}
+                          style={{ width: `${t.pct || 0}%` }}
+                        />
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {/* Chronic defects: same snag clearing and coming back on one tail */}
+          <div className="mt-6 border rounded-2xl p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <div>
+                <div className="font-medium">Chronic / repeat defects</div>
+                <div className="text-xs text-gray-500">
+                  All saved reports. Similar defect wording per tail is grouped; consecutive nights count as one
+                  episode.
+                </div>
+              </div>
+              <label className="flex items-center gap-1 text-sm">
+                <span className="text-gray-700">Flag repeats within</span>
+                <input
+                  type="number"
+                  min="1"
+                  className="w-16 border rounded p-1 text-sm"
+                  value={repeatWindowDays}
+                  onChange={(e) => setRepeatWindowDays(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                />
+                <span className="text-gray-500">days</span>
+              </label>
+            </div>
+            {recurringDefects.length === 0 ? (
+              <div className="text-sm text-gray-500">No defect has come back after clearing.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm border rounded">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="border px-2 py-1 text-left">Tail</th>
+                      <th className="border px-2 py-1 text-left">Defect</th>
+                      <th className="border px-2 py-1 text-left">System</th>
+                      <th className="border px-2 py-1 text-right">Episodes</th>
+                      <th className="border px-2 py-1 text-left">Seen</th>
+                      <th className="border px-2 py-1 text-right">Shortest gap</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {recurringDefects.map((c) => (
+                      <tr key={c.id} className={c.flagged ? "bg-rose-50" : ""}>
+                        <td className="border px-2 py-1">{c.code}</td>
+                        <td className="border px-2 py-1" title={c.wordings.join("\n")}>
+                          {c.text}
+                          {c.wordings.length > 1 && (
+                            <span className="text-xs text-gray-500"> (+{c.wordings.length - 1} wording)</span>
+                          )}
+                        </td>
+                        <td className="border px-2 py-1">{c.system || "—"}</td>
+                        <td className="border px-2 py-1 text-right">{c.episodes.length}</td>
+                        <td className="border px-2 py-1 text-xs">
+                          {c.episodes.map((ep, i) => (
+                            <button
+                              key={i}
+                              className="underline text-blue-700 mr-2"
+                              onClick={() => openDateFromHistory(ep.start)}
+                            >
+                              {ep.start === ep.end ? ep.start : `${ep.start} → ${ep.end}`}
+                            </button>
+                          ))}
+                        </td>
+                        <td className="border px-2 py-1 text-right">
+                          {Math.min(...c.repeats.map((r) => r.gapDays))} d{c.flagged ? " 🔁" : ""}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* MTTR: how long tails stay down once they go U/S or AOG */}
+          <div className="mt-6 border rounded-2xl p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <div>
+                <div className="font-medium">Time to rectify</div>
+                <div className="text-xs text-gray-500">
+                  From the Input date of the report where a tail goes U/S or AOG to the first later report where it
+                  is serviceable again. Counts rectifications closed in the range above
+                  {trendDays.length ? ` (since ${trendDays[0].date})` : ""}.
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                {[
+                  ["tail", "Per tail"],
+                  ["system", "Per system"],
+                  ["workcenter", "Per workcenter"],
+                ].map(([key, label]) => (
+                  <button
+                    key={key}
+                    className={`border rounded px-3 py-1 text-sm ${mttrBy === key ? "bg-blue-600 text-white border-blue-600" : ""}`}
+                    onClick={() => setMttrBy(key)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {mttrPeriod.closed.length === 0 ? (
+              <div className="text-sm text-gray-500">No rectification closed in this range.</div>
+            ) : (
+              <div className="grid md:grid-cols-2 gap-4">
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm border rounded">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {[
+                          ["key", mttrBy === "tail" ? "Tail" : mttrBy === "system" ? "System" : "Workcenter"],
+                          ["count", "Rects"],
+                          ["meanMs", "MTTR"],
+                          ["medianMs", "Median"],
+                          ["maxMs", "Longest"],
+                          ["totalMs", "Total down"],
+                        ].map(([key, label]) => (
+                          <th key={key} className={`border px-2 py-1 ${key === "key" ? "text-left" : "text-right"}`}>
+                            <button className="font-medium" onClick={() => sortMttrBy(key)}>
+                              {label}
+                              {mttrSort.key === key ? (mttrSort.dir === "desc" ? " ▼" : " ▲") : ""}
+                            </button>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {mttrRows.map((r) => (
+                        <tr key={r.key}>
+                          <td className="border px-2 py-1">{r.key}</td>
+                          <td className="border px-2 py-1 text-right">{r.count}</td>
+                          <td className="border px-2 py-1 text-right font-medium">{formatDuration(r.meanMs)}</td>
+                          <td className="border px-2 py-1 text-right">{formatDuration(r.medianMs)}</td>
+                          <td className="border px-2 py-1 text-right">{formatDuration(r.maxMs)}</td>
+                          <td className="border px-2 py-1 text-right">{formatDuration(r.totalMs)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div>
+                  <div className="text-xs text-gray-500 mb-1">Downtime per rectification</div>
+                  {(() => {
+                    const peak = Math.max(1, ...mttrHistogram.map((b) => b.count));
+                    return (
+                      <div className="flex items-end gap-1 h-32 border-b">
+                        {mttrHistogram.map((b) => (
+                          <div key={b.label} className="flex-1 flex flex-col items-center justify-end h-full">
+                            {b.count > 0 && <div className="text-xs">{b.count}</div>}
+                            <div
+                              className="w-full bg-blue-500 rounded-t"
+                              style={{ height: `${(b.count / peak) * 100}%` }}
+                              title={`${b.label}: ${b.count}`}
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })()}
+                  <div className="flex gap-1 mt-1">
+                    {mttrHistogram.map((b) => (
+                      <div key={b.label} className="flex-1 text-center text-xs text-gray-600">
+                        {b.label}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {(mttrPeriod.closed.length > 0 || mttrPeriod.open.length > 0) && (
+              <details className="mt-3">
+                <summary className="text-sm cursor-pointer">
+                  Each rectification ({mttrPeriod.closed.length} closed, {mttrPeriod.open.length} still open)
+                </summary>
+                <div className="overflow-x-auto mt-2">
+                  <table className="w-full text-sm border rounded">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="border px-2 py-1 text-left">Tail</th>
+                        <th className="border px-2 py-1 text-left">Defect</th>
+                        <th className="border px-2 py-1 text-left">System / workcenter</th>
+                        <th className="border px-2 py-1 text-left">U/S</th>
+                        <th className="border px-2 py-1 text-left">Serviceable</th>
+                        <th className="border px-2 py-1 text-right">Downtime</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[...mttrPeriod.open, ...[...mttrPeriod.closed].sort((a, b) => b.downtimeMs - a.downtimeMs)].map(
+                        (ep) => (
+                          <tr key={`${ep.code}-${ep.openedOn}`} className={ep.open ? "bg-amber-50" : ""}>
+                            <td className="border px-2 py-1">{ep.code}</td>
+                            <td className="border px-2 py-1">{ep.defects.map((d) => d.text).join("; ") || "—"}</td>
+                            <td className="border px-2 py-1">
+                              {[ep.systems.join(", "), ep.workcenters.join(", ")].filter(Boolean).join(" / ") || "—"}
+                            </td>
+                            <td className="border px-2 py-1">
+                              <button className="underline text-blue-700" onClick={() => openDateFromHistory(ep.openedOn)}>
+                                {new Date(ep.start).toLocaleDateString()}
+                              </button>
+                            </td>
+                            <td className="border px-2 py-1">
+                              {ep.open ? (
+                                "still open"
+                              ) : (
+                                <button className="underline text-blue-700" onClick={() => openDateFromHistory(ep.closedOn)}>
+                                  {ep.closedOn}
+                                </button>
+                              )}
+                            </td>
+                            <td className="border px-2 py-1 text-right">
+                              {ep.open ? `${formatDuration(Date.now() - ep.start)} so far` : formatDuration(ep.downtimeMs)}
+                            </td>
+                          </tr>
+                        )
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </details>
+            )}
+          </div>
+        </section>
+      )}
+
+      {tab === "equipment" && (
+        <section className="mb-6">
+          <div className="mb-3">
+            <h2 className="text-xl font-semibold">EOSS turret units</h2>
+            <p className="text-xs text-gray-500">
+              From the HOTO “■ EOSS Status” section of every saved date, one TU per line (e.g. “TU 1234 - F2 (S)”,
+              “TU 0987 - Store U/S”). Night Report headers mark fitted tails with * (‘S’ TU) or ^ (‘U/S’ TU).
+            </p>
+          </div>
+
+          {/* Fit per tail on the open date, from the Night Report markers */}
+          <div className="flex flex-wrap gap-2 mb-3">
+            {fleetCodes.map((code) => {
+              const fit = parsed[code]?.eoss;
+              const tu = eossToday?.units.find((u) => u.code === code);
+              return (
+                <div
+                  key={code}
+                  className={`border rounded px-3 py-2 text-sm ${
+                    fit === "S" ? "bg-green-50 border-green-300" : fit === "U/S" ? "bg-red-50 border-red-300" : "bg-gray-50"
+                  }`}
+                >
+                  <div className="font-semibold">{code}</div>
+                  <div className="text-xs">
+                    {fit ? `${fit} TU` : "No TU"}
+                    {tu ? ` · ${tu.serial}` : ""}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {eossProblems.length > 0 && (
+            <div className="mb-3 border-l-4 border-amber-400 bg-amber-50 text-amber-900 rounded p-3 text-sm">
+              <div className="font-medium mb-1">Night Report and EOSS Status disagree ({selectedDate})</div>
+              <ul className="list-disc pl-5 space-y-0.5">
+                {eossProblems.map((p, i) => (
+                  <li key={i}>{p.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {eossToday?.unparsed.length > 0 && (
+            <div className="mb-3 text-xs text-gray-600">
+              Not read as a TU line ({selectedDate}): {eossToday.unparsed.map((l) => `“${l}”`).join(", ")}
+            </div>
+          )}
+
+          {eossUnits.length === 0 ? (
+            <div className="text-sm text-gray-500 border rounded p-4">No EOSS Status lines in any saved HOTO.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border rounded">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="border px-2 py-1 text-left">TU</th>
+                    <th className="border px-2 py-1 text-left">On / at</th>
+                    <th className="border px-2 py-1 text-left">Status</th>
+                    <th className="border px-2 py-1 text-left">Remarks</th>
+                    <th className="border px-2 py-1 text-left">Last listed</th>
+                    <th className="border px-2 py-1 text-left">Movement history</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {eossUnits.map((u) => (
+                    <tr key={u.serial} className={u.current.date !== eossLatestDate ? "text-gray-400" : ""}>
+                      <td className="border px-2 py-1 font-mono">{u.serial}</td>
+                      <td className="border px-2 py-1">{u.current.location}</td>
+                      <td className="border px-2 py-1">
+                        {u.current.status ? (
+                          <span
+                            className={`px-2 py-0.5 rounded text-xs ${
+                              u.current.status === "S" ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+                            }`}
+                          >
+                            {u.current.status}
+                          </span>
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                      <td className="border px-2 py-1">{u.current.remarks || "—"}</td>
+                      <td className="border px-2 py-1">{u.current.date}</td>
+                      <td className="border px-2 py-1 text-xs">
+                        {u.moves.map((mv, i) => (
+                          <div key={i}>
+                            <button className="underline text-blue-700" onClick={() => openDateFromHistory(mv.date)}>
+                              {mv.date}
+                            </button>{" "}
+                            {mv.from && mv.from !== mv.to ? `${mv.from} → ${mv.to}` : mv.to}
+                            {mv.status ? ` (${mv.status})` : ""}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* MEE / BRU / Probe registers (editable; written back into the HOTO sections) */}
+          <div className="flex flex-wrap items-center justify-between gap-2 mt-8 mb-2">
+            <div>
+              <h2 className="text-xl font-semibold">Equipment registers</h2>
+              <p className="text-xs text-gray-500">
+                {equipment
+                  ? `Saved/edited for ${selectedDate}.`
+                  : prevRegisters
+                  ? "From this HOTO where it lists items, otherwise carried over from the previous saved night."
+                  : "From this HOTO."}{" "}
+                Changes since the previous saved night are highlighted. Save the report to keep edits.
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button className="border rounded px-3 py-2 text-sm" onClick={() => setEquipment(null)} disabled={!equipment}>
+                Re-read from HOTO
+              </button>
+              <button className="px-3 py-2 text-sm rounded bg-blue-600 text-white" onClick={writeRegistersToHoto}>
+                Write into HOTO text
+              </button>
+            </div>
+          </div>
+
+          {registersOutOfSync.length > 0 && (
+            <div className="mb-3 border-l-4 border-amber-400 bg-amber-50 text-amber-900 rounded p-3 text-sm">
+              The HOTO text lists different {registersOutOfSync.join(", ")} items than this table. “Re-read from HOTO”
+              takes the text; “Write into HOTO text” keeps the table.
+            </div>
+          )}
+
+          <div className="space-y-4">
+            {REGISTER_KINDS.map(([kind, label]) => {
+              const rows = equipmentView[kind] || [];
+              const diff = registerDiffs[kind];
+              return (
+                <div key={kind} className="border rounded-2xl p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <div className="font-semibold">{label}</div>
+                    <button className="border rounded px-2 py-1 text-xs" onClick={() => addRegisterRow(kind)}>
+                      + Add row
+                    </button>
+                  </div>
+                  {rows.length === 0 ? (
+                    <div className="text-sm text-gray-500">Nil</div>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm border rounded">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="border px-2 py-1 text-left">Item</th>
+                            <th className="border px-2 py-1 text-left">Serial</th>
+                            <th className="border px-2 py-1 text-left">Location / tail</th>
+                            <th className="border px-2 py-1 text-left">Status</th>
+                            <th className="border px-2 py-1 text-left">Remarks</th>
+                            <th className="border px-2 py-1"></th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {rows.map((r, idx) => {
+                            const d = diff.rows[idx];
+                            return (
+                              <tr key={idx} className={d?.state === "new" ? "bg-green-50" : ""}>
+                                {["item", "serial", "location", "status", "remarks"].map((field) => {
+                                  const changed = d?.state === "changed" && d.fields.includes(field);
+                                  return (
+                                    <td
+                                      key={field}
+                                      className={`border px-2 py-1 ${changed ? "bg-amber-100" : ""}`}
+                                      title={changed ? `Was: ${d.before[field] || "—"}` : undefined}
+                                    >
+                                      <input
+                                        className="w-full border rounded px-2 py-1"
+                                        value={r[field] || ""}
+                                        onChange={(e) => updateRegisterRow(kind, idx, { [field]: e.target.value })}
+                                      />
+                                    </td>
+                                  );
+                                })}
+                                <td className="border px-2 py-1 text-right">
+                                  <button className="text-xs text-red-600 underline" onClick={() => removeRegisterRow(kind, idx)}>
+                                    Remove
+                                  </button>
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                  {diff.removed.length > 0 && (
+                    <div className="mt-2 text-xs text-gray-600">
+                      No longer listed since the previous night:{" "}
+                      {diff.removed.map((r, i) => (
+                        <span key={i} className="line-through mr-2">
+                          {serializeRegisterLine(r)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
+      {tab === "knowledge" && (
+        <section className="mb-6">
+          <div className="mb-3">
+            <h2 className="text-xl font-semibold">Lessons learnt &amp; AOM</h2>
+            <p className="text-xs text-gray-500">
+              Every line from the “● AOM” and “● Lesson learnt” sections of all saved HOTOs. A line carried over
+              from shift to shift is listed once, from the first night it was written.
+            </p>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-2 mb-3">
+            <label className="text-sm flex-1 min-w-[14rem]">
+              <div className="text-gray-700">Search</div>
+              <input
+                className="w-full border rounded p-2"
+                value={kbFilters.query}
+                onChange={(e) => setKbFilter("query", e.target.value)}
+                placeholder="e.g., torque, BRU, F2…"
+              />
+            </label>
+            {[
+              ["kind", "Section", KNOWLEDGE_KINDS],
+              ["tail", "Tail", kbFacets.tails.map((c) => [c, c])],
+              ["tag", "Tag", kbFacets.tags.map((t) => [t, t])],
+              ["author", "Author", kbFacets.authors.map((a) => [a, a])],
+            ].map(([key, label, options]) => (
+              <label key={key} className="text-sm">
+                <div className="text-gray-700">{label}</div>
+                <select className="border rounded p-2" value={kbFilters[key]} onChange={(e) => setKbFilter(key, e.target.value)}>
+                  <option value="">All</option>
+                  {options.map(([value, text]) => (
+                    <option key={value} value={value}>
+                      {text}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <button
+              className="border rounded px-3 py-2 text-sm"
+              onClick={() => setKbFilters({ query: "", kind: "", tail: "", tag: "", author: "" })}
+            >
+              Clear
+            </button>
+          </div>
+
+          <div className="text-xs text-gray-500 mb-2">
+            {kbResults.length} of {knowledge.length} entries
+          </div>
+
+          {kbResults.length === 0 ? (
+            <div className="text-sm text-gray-500 border rounded p-4">
+              {knowledge.length ? "Nothing matches these filters." : "No AOM or lessons learnt in any saved HOTO yet."}
+            </div>
+          ) : (
+            <ul className="space-y-2">
+              {kbResults.map((e) => (
+                <li key={e.id} className="border rounded-2xl p-3">
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-1">
+                    <span
+                      className={`px-2 py-0.5 rounded ${
+                        e.kind === "aom" ? "bg-indigo-100 text-indigo-800" : "bg-emerald-100 text-emerald-800"
+                      }`}
+                    >
+                      {KNOWLEDGE_KINDS.find(([k]) => k === e.kind)[1]}
+                    </span>
+                    <button className="underline text-blue-700" onClick={() => openDateFromHistory(e.date)}>
+                      {e.date}
+                    </button>
+                    {e.dates.length > 1 && <span>(carried {e.dates.length} nights, last {e.lastSeen})</span>}
+                    {e.author && <span>· {e.author}</span>}
+                  </div>
+                  <div className="text-sm whitespace-pre-wrap">{e.text}</div>
+                  {(e.tails.length > 0 || e.tags.length > 0) && (
+                    <div className="flex flex-wrap gap-1 mt-2 text-xs">
+                      {e.tails.map((c) => (
+                        <button key={c} className="px-2 py-0.5 border rounded bg-white" onClick={() => setKbFilter("tail", c)}>
+                          {c}
+                        </button>
+                      ))}
+                      {e.tags.map((t) => (
+                        <button key={t} className="px-2 py-0.5 rounded bg-gray-100" onClick={() => setKbFilter("tag", t)}>
+                          #{t}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      {tab === "revisions" && (
+        <section className="mb-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <div>
+              <h2 className="text-xl font-semibold">Revisions — {selectedDate}</h2>
+              <p className="text-xs text-gray-500">
+                Every “Save to cloud” of this date is kept. Pick two versions (A → B) to compare, or restore one.
+              </p>
+            </div>
+            <button className="border rounded px-3 py-1 text-sm" onClick={() => setTab("overview")}>
+              ← Back
+            </button>
+          </div>
+
+          {revisions.length === 0 ? (
+            <div className="text-sm text-gray-500 border rounded p-4">
+              No revisions saved for this date yet (saves from before revisions were kept are not listed).
+            </div>
+          ) : (
+            <div className="overflow-x-auto mb-4">
+              <table className="w-full text-sm border rounded">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="border px-2 py-1 text-left">Saved</th>
+                    <th className="border px-2 py-1 text-left">By</th>
+                    <th className="border px-2 py-1 text-center">A</th>
+                    <th className="border px-2 py-1 text-center">B</th>
+                    <th className="border px-2 py-1"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...revisions, { id: "editor" }].map((r, idx) => (
+                    <tr key={r.id} className={idx === 0 ? "bg-blue-50" : ""}>
+                      <td className="border px-2 py-1">
+                        {r.id === "editor" ? (
+                          <span className="text-gray-600">Unsaved editor (current text)</span>
+                        ) : (
+                          <>
+                            {r.updatedAt ? r.updatedAt.toLocaleString() : "(saving…)"}
+                            {idx === 0 && <span className="ml-2 text-xs text-blue-700">latest</span>}
+                            {r.restoredFrom && (
+                              <span className="ml-2 text-xs text-gray-500">
+                                (restore of {revisionLabel(r.restoredFrom).split(" — ")[0] || "an older version"})
+                              </span>
+                            )}
+                          </>
+                        )}
+                      </td>
+                      <td className="border px-2 py-1">{r.savedBy || "—"}</td>
+                      <td className="border px-2 py-1 text-center">
+                        {r.id !== "editor" && (
+                          <input
+                            type="radio"
+                            name="revA"
+                            checked={revA === r.id}
+                            onChange={() => setRevPick({ a: r.id, b: revB })}
+                          />
+                        )}
+                      </td>
+                      <td className="border px-2 py-1 text-center">
+                        <input
+                          type="radio"
+                          name="revB"
+                          checked={revB === r.id}
+                          onChange={() => setRevPick({ a: revA, b: r.id })}
+                        />
+                      </td>
+                      <td className="border px-2 py-1 text-right">
+                        {r.id !== "editor" && idx > 0 && (
+                          <button
+                            className={`text-xs underline ${user ? "text-blue-700" : "text-gray-400 cursor-not-allowed"}`}
+                            onClick={() => restoreRevision(r)}
+                            disabled={!user}
+                          >
+                            Restore
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {revisionDiffs.length > 0 && (
+            <div className="space-y-3">
+              <div className="text-sm">
+                <span className="font-medium">A:</span> {revisionLabel(revA)} <span className="mx-2">→</span>
+                <span className="font-medium">B:</span> {revisionLabel(revB)}
+              </div>
+              {revisionDiffs.map((f) => (
+                <details key={`${revA}-${revB}-${f.key}`} className="border rounded-2xl p-3" open={f.changed}>
+                  <summary className="cursor-pointer text-sm font-medium">
+                    {f.label} {f.changed ? "" : <span className="text-xs text-gray-500 font-normal">(no changes)</span>}
+                  </summary>
+                  {f.changed && (
+                    <div className="overflow-x-auto mt-2">
+                      <table className="w-full text-xs font-mono border rounded table-fixed">
+                        <tbody>
+                          {foldUnchanged(f.rows).map((r, i) =>
+                            r.type === "skip" ? (
+                              <tr key={i} className="bg-gray-50 text-gray-500">
+                                <td colSpan={2} className="border px-2 py-0.5 text-center">
+                                  … {r.count} unchanged line{r.count === 1 ? "" : "s"} …
+                                </td>
+                              </tr>
+                            ) : (
+                              <tr key={i}>
+                                <td
+                                  className={`border px-2 py-0.5 whitespace-pre-wrap align-top ${
+                                    r.type === "del" || r.type === "change" ? "bg-red-50" : ""
+                                  }`}
+                                >
+                                  {r.left ?? ""}
+                                </td>
+                                <td
+                                  className={`border px-2 py-0.5 whitespace-pre-wrap align-top ${
+                                    r.type === "add" || r.type === "change" ? "bg-green-50" : ""
+                                  }`}
+                                >
+                                  {r.right ?? ""}
+                                </td>
+                              </tr>
+                            )
+                          )}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </details>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      {tab === "settings" && (
+        <section className="mb-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <div>
+              <h2 className="text-xl font-semibold">Fleet</h2>
+              <p className="text-xs text-gray-500">
+                {fleetMeta
+                  ? `Saved ${fleetMeta.updatedAt ? fleetMeta.updatedAt.toLocaleString() : ""}${
+                      fleetMeta.savedBy ? ` by ${fleetMeta.savedBy}` : ""
+                    }.`
+                  : "Using the built-in fleet list (nothing saved yet)."}{" "}
+                Active tails drive the Overview cards, RTS lanes and checks, Telegram matching and the Servicing
+                picker. Untick “Active” to retire an airframe without losing it.
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button className="border rounded px-3 py-2 text-sm" onClick={addFleetRow}>
+                + Add tail
+              </button>
+              <button
+                className="border rounded px-3 py-2 text-sm"
+                onClick={() => setFleetDraft(DEFAULT_FLEET)}
+                title="Start from the built-in list (not saved until you click Save)"
+              >
+                Built-in list
+              </button>
+              <button
+                className="border rounded px-3 py-2 text-sm"
+                onClick={() => setFleetDraft(null)}
+                disabled={!fleetDraft}
+              >
+                Discard changes
+              </button>
+              <button
+                className={`px-3 py-2 text-sm text-white rounded ${
+                  user && fleetDraft && !fleetProblems.length ? "bg-blue-600" : "bg-gray-400 cursor-not-allowed"
+                }`}
+                disabled={!user || !fleetDraft || fleetProblems.length > 0}
+                onClick={saveFleet}
+              >
+                Save fleet
+              </button>
+            </div>
+          </div>
+
+          {fleetProblems.length > 0 && (
+            <ul className="mb-2 border rounded px-3 py-2 text-xs bg-red-50 border-red-300 text-red-800 list-disc pl-6">
+              {fleetProblems.map((p, i) => <li key={i}>{p}</li>)}
+            </ul>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm border rounded">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="border px-2 py-1 text-left">Order</th>
+                  <th className="border px-2 py-1 text-left">Tail number</th>
+                  <th className="border px-2 py-1 text-left">Code</th>
+                  <th className="border px-2 py-1 text-left">Type / variant</th>
+                  <th className="border px-2 py-1 text-center">Active</th>
+                  <th className="border px-2 py-1" />
+                </tr>
+              </thead>
+              <tbody>
+                {fleetRows.map((t, idx) => (
+                  <tr key={idx} className={t.active ? "" : "bg-gray-50 text-gray-500"}>
+                    <td className="border px-2 py-1 whitespace-nowrap">
+                      <button className="text-xs border rounded px-1 mr-1" onClick={() => moveFleetRow(idx, -1)} disabled={idx === 0}>
+                        ▲
+                      </button>
+                      <button
+                        className="text-xs border rounded px-1"
+                        onClick={() => moveFleetRow(idx, 1)}
+                        disabled={idx === fleetRows.length - 1}
+                      >
+                        ▼
+                      </button>
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input
+                        className="w-24 border rounded px-2 py-1"
+                        inputMode="numeric"
+                        value={t.id}
+                        onChange={(e) => {
+                          const v = e.target.value.replace(/\D/g, "");
+                          const id = v ? Number(v) : "";
+                          // Suggest the usual code while the code is still empty or was the suggestion
+                          const suggested = id && /^[FS]\d$/.test(idToCode(id)) ? idToCode(id) : "";
+                          const keepCode = t.code && t.code !== (t.id ? idToCode(t.id) : "");
+                          updateFleetRow(idx, { id, code: keepCode ? t.code : suggested });
+                        }}
+                        placeholder="e.g., 264"
+                      />
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input
+                        className="w-16 border rounded px-2 py-1 uppercase"
+                        value={t.code}
+                        onChange={(e) => updateFleetRow(idx, { code: e.target.value.toUpperCase().trim() })}
+                        placeholder="S4"
+                      />
+                    </td>
+                    <td className="border px-2 py-1">
+                      <input
+                        className="w-full border rounded px-2 py-1"
+                        value={t.type || ""}
+                        onChange={(e) => updateFleetRow(idx, { type: e.target.value })}
+                        placeholder="optional"
+                      />
+                    </td>
+                    <td className="border px-2 py-1 text-center">
+                      <input
+                        type="checkbox"
+                        checked={!!t.active}
+                        onChange={(e) => updateFleetRow(idx, { active: e.target.checked })}
+                      />
+                    </td>
+                    <td className="border px-2 py-1 text-right">
+                      <button className="text-xs text-red-700 underline" onClick={() => removeFleetRow(idx)}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {!user && <div className="mt-2 text-xs text-gray-500">Sign in to save changes to the fleet.</div>}
+        </section>
+      )}
+
       {/* Footer */}
       <footer className="mt-10 text-center text-xs text-gray-500 whitespace-pre-line">
         Version {APP_VERSION}
@@ -0,0 +1,66 @@
+// Fleet availability from saved Night Reports.
+//
+// Input days: [{ date: "YYYY-MM-DD", tags: { code: status tag } }], oldest first, where the tag is
+// deriveStatusTag() of that tail's entry ("serviceable" | "rectification" | "in-phase" | "recovery" | "aog");
+// a tail missing from that night's report has no tag and counts as "not reported".
+// Availability = serviceable / active fleet size (fleet) or serviceable days / reported days (tail).
+
+export const STATUS_TAGS = ["serviceable", "rectification", "in-phase", "recovery", "aog"];
+
+export const RANGES = {
+  week: { label: "Week", days: 7 },
+  month: { label: "Month", days: 30 },
+  quarter: { label: "Quarter", days: 91 },
+};
+
+// Days within the last `range` ending at the newest saved date ("all" keeps everything)
+export function sliceRange(days, range) {
+  if (!days.length || !RANGES[range]) return days;
+  const end = new Date(`${days[days.length - 1].date}T00:00:00`);
+  const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - RANGES[range].days + 1);
+  return days.filter((d) => new Date(`${d.date}T00:00:00`) >= start);
+}
+
+// Returns {
+//   daily:   [{ date, counts: { tag: n, none: n }, pct }]          — pct = fleet availability %
+//   perTail: [{ code, reported, serviceable, pct }]                — pct null if never reported
+//   fleetPct: mean of daily pct (null with no days)
+// }
+export function availabilitySeries(days, codes) {
+  const perTail = codes.map((code) => ({ code, reported: 0, serviceable: 0, pct: null }));
+  const byCode = Object.fromEntries(perTail.map((t) => [t.code, t]));
+
+  const daily = days.map((d) => {
+    const counts = Object.fromEntries([...STATUS_TAGS, "none"].map((t) => [t, 0]));
+    codes.forEach((code) => {
+      const tag = d.tags[code];
+      if (!tag) { counts.none += 1; return; }
+      counts[tag] = (counts[tag] || 0) + 1;
+      byCode[code].reported += 1;
+      if (tag === "serviceable") byCode[code].serviceable += 1;
+    });
+    return { date: d.date, counts, pct: codes.length ? (counts.serviceable / codes.length) * 100 : 0 };
+  });
+
+  perTail.forEach((t) => { t.pct = t.reported ? (t.serviceable / t.reported) * 100 : null; });
+  const fleetPct = daily.length ? daily.reduce((sum, d) => sum + d.pct, 0) / daily.length : null;
+  return { daily, perTail, fleetPct };
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// CSV of the daily series plus each tail's status that day
+export function availabilityCSV(days, series, codes) {
+  const header = ["date", ...STATUS_TAGS, "not reported", "fleet availability %", ...codes];
+  const rows = series.daily.map((d, i) => [
+    d.date,
+    ...STATUS_TAGS.map((t) => d.counts[t]),
+    d.counts.none,
+    d.pct.toFixed(1),
+    ...codes.map((c) => days[i].tags[c] || ""),
+  ]);
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n");
+}
@@ -0,0 +1,249 @@
+// Date-time parsing for the free-text Input / ETR fields of the Night Report.
+//
+// Understands:
+//   - DTG:                "131800H Aug 25", "131800HAUG25", "131800H" (month: the report's or the one
+//                         before, whichever is nearer the report date)
+//   - Calendar:           "15 Aug", "15th Aug 25 1300", "Aug 15 1300H", "1630H 15 Aug", "15 Aug 13:00"
+//   - Numeric (DD/MM):    "15/08", "15/08/25 1300", "15.08.2025 1300H", "15-08-25"
+//   - Time-of-day tokens: AM / PM / EOD / COB / noon / night   ("15 Aug PM")
+//   - Relative phrases:   today, tonight, tmr/tmrw/tomorrow, yesterday, next day,
+//                         "+2 days", "in 2 days", "D+2", weekday names ("Fri", "next Mon")
+//   - Unknowns:           TBC / TBA / TBD / Nil / "-"
+//
+// Times are taken as local time (the DTG zone letter is not converted; the unit works in "H").
+// Missing years are inferred as the one closest to the report date.
+//
+// parseDateTime() returns { raw, ts, iso, kind, confidence }:
+//   ts          epoch ms (local) or null
+//   iso         "YYYY-MM-DDTHH:MM" or null
+//   kind        "dtg" | "date" | "relative" | "time" | "tbc" | "empty" | "unknown"
+//   confidence  "high" | "medium" | "low" | "none"
+
+const MONTHS = {
+  jan: 0, january: 0,
+  feb: 1, february: 1,
+  mar: 2, march: 2,
+  apr: 3, april: 3,
+  may: 4,
+  jun: 5, june: 5,
+  jul: 6, july: 6,
+  aug: 7, august: 7,
+  sep: 8, sept: 8, september: 8,
+  oct: 9, october: 9,
+  nov: 10, november: 10,
+  dec: 11, december: 11,
+};
+
+const WEEKDAYS = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+// Minutes-of-day windows for tokens; role "start" takes the first value, "end" the second
+const TIME_TOKENS = [
+  [/\bEOD\b/i, [1439, 1439]],
+  [/\bCOB\b/i, [1020, 1020]],
+  [/\bnoon\b/i, [720, 720]],
+  [/\bmidnight\b/i, [1439, 1439]],
+  [/\bA\.?M\b/i, [0, 720]],
+  [/\bP\.?M\b/i, [720, 1439]],
+  [/\b(?:tonight|night)\b/i, [1080, 1439]],
+];
+
+const TBC_RE = /^(?:tbc|tba|tbd|tbn|tbu|unknown|nil|n\/a|-+|—|–)$/i;
+
+const RANK = { none: 0, low: 1, medium: 2, high: 3 };
+const lower = (a, b) => (RANK[a] <= RANK[b] ? a : b);
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// "YYYY-MM-DD" → Date at local midnight (falls back to today)
+function refDate(refISO) {
+  const m = (refISO || "").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  const t = new Date();
+  return new Date(t.getFullYear(), t.getMonth(), t.getDate());
+}
+
+// Pick the year (ref ±1) that puts day/month closest to the report date
+function inferYear(month, day, ref) {
+  const y = ref.getFullYear();
+  return [y - 1, y, y + 1].reduce((best, cand) =>
+    Math.abs(new Date(cand, month, day) - ref) < Math.abs(new Date(best, month, day) - ref) ? cand : best
+  );
+}
+
+// Day before or after the month name: { text, index, day, month, year } for the first real date
+function findCalendarDate(s) {
+  const patterns = [
+    [/\b(\d{1,2})(?:st|nd|rd|th)?\s*([A-Za-z]{3,9})\.?(?:,?\s+(\d{4}|\d{2})(?![\d:]))?/g, 1, 2], // 15th Aug 25
+    [/\b([A-Za-z]{3,9})\.?\s*(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4}|\d{2})(?![\d:]))?/g, 2, 1], // Aug 15, 25
+  ];
+  for (const [re, di, mi] of patterns) {
+    for (const m of s.matchAll(re)) {
+      const month = MONTHS[m[mi].toLowerCase()];
+      if (month != null) return { text: m[0], index: m.index, day: Number(m[di]), month, year: m[3] };
+    }
+  }
+  return null;
+}
+
+function fullYear(yy) {
+  const n = parseInt(yy, 10);
+  return n < 100 ? 2000 + n : n;
+}
+
+// Time of day in what is left of the string: { minutes: [start, end], confidence }
+function parseTimeOfDay(s) {
+  const hhmm = s.match(/\b([01]\d|2[0-3])([0-5]\d)\s*(?:h|hrs?|hours?)?\b/i);
+  if (hhmm) {
+    const m = Number(hhmm[1]) * 60 + Number(hhmm[2]);
+    return { minutes: [m, m], confidence: "high" };
+  }
+  const colon = s.match(/\b(\d{1,2}):([0-5]\d)\b/);
+  if (colon && Number(colon[1]) < 24) {
+    const m = Number(colon[1]) * 60 + Number(colon[2]);
+    return { minutes: [m, m], confidence: "high" };
+  }
+  for (const [re, win] of TIME_TOKENS) {
+    if (re.test(s)) return { minutes: win, confidence: "medium" };
+  }
+  return { minutes: [0, 1439], confidence: "low" };
+}
+
+function build(raw, date, minutes, role, kind, confidence) {
+  const m = role === "start" ? minutes[0] : minutes[1];
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(m / 60), m % 60);
+  const iso = `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}T${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+  return { raw, ts: d.getTime(), iso, kind, confidence };
+}
+
+// Parse an Input/ETR string against the report date ("YYYY-MM-DD").
+// role: "start" resolves AM/PM/date-only to the start of the window (Input), "end" to its end (ETR).
+export function parseDateTime(text, refISO, { role = "end" } = {}) {
+  const raw = (text || "").trim();
+  if (!raw) return { raw, ts: null, iso: null, kind: "empty", confidence: "none" };
+
+  const s = raw.replace(/[‘’“”"']/g, "").replace(/\s+/g, " ").trim();
+  if (TBC_RE.test(s) || /^(?:tbc|tba|tbd)\b/i.test(s)) {
+    return { raw, ts: null, iso: null, kind: "tbc", confidence: "none" };
+  }
+  const ref = refDate(refISO);
+
+  // 1) DTG: DDHHMM + zone letter [+ Mon [YY]]
+  const dtg = s.match(/\b(\d{2})(\d{2})(\d{2})\s*([A-Z])(?:\s*([A-Za-z]{3,9})\.?(?:\s*(\d{2}(?:\d{2})?))?)?\b/i);
+  if (dtg && Number(dtg[2]) < 24 && Number(dtg[3]) < 60) {
+    const day = Number(dtg[1]);
+    const m = Number(dtg[2]) * 60 + Number(dtg[3]);
+    if (dtg[5]) {
+      const month = MONTHS[dtg[5].toLowerCase()];
+      if (month != null) {
+        const year = dtg[6] ? fullYear(dtg[6]) : inferYear(month, day, ref);
+        return build(raw, new Date(year, month, day), [m, m], role, "dtg", "high");
+      }
+    } else {
+      // No month: the report's, or the previous one when that is nearer ("301800H" on the 2nd)
+      const date = [0, -1]
+        .map((k) => new Date(ref.getFullYear(), ref.getMonth() + k, day))
+        .filter((d) => d.getDate() === day)
+        .reduce((best, d) => (!best || Math.abs(d - ref) < Math.abs(best - ref) ? d : best), null);
+      if (date) {
+        const conf = date.getMonth() === ref.getMonth() ? "medium" : "low";
+        return build(raw, date, [m, m], role, "dtg", conf);
+      }
+    }
+  }
+
+  // 2) Calendar date: DD[th] Mon [YY|YYYY] or Mon DD[th][,] [YY|YYYY], time before or after
+  const cal = findCalendarDate(s);
+  if (cal) {
+    const { day, month } = cal;
+    const before = s.slice(0, cal.index);
+    let rest = s.slice(cal.index + cal.text.length);
+    let year = null;
+    if (cal.year) {
+      const v = cal.year;
+      const isTime = /^\s*(?:h|hrs?)\b/i.test(rest); // "15 Aug 1300H"
+      const timeFollows = /\d{3,4}|\d:\d/.test(`${before} ${rest}`); // "15 Aug 2025 1300"
+      const nearYear = Math.abs(Number(v) - ref.getFullYear()) <= 1;
+      if (v.length === 2 || (!isTime && (timeFollows || nearYear))) year = fullYear(v);
+      else rest = `${v}${rest}`; // "15 Aug 1300" – the 4 digits are a time, not a year
+    }
+    if (year == null) year = inferYear(month, day, ref);
+    const date = new Date(year, month, day);
+    if (date.getMonth() !== month) return { raw, ts: null, iso: null, kind: "unknown", confidence: "none" };
+    const t = parseTimeOfDay(`${before} ${rest}`);
+    return build(raw, date, t.minutes, role, "date", t.confidence);
+  }
+
+  // 2b) Numeric date: DD/MM[/YY|YYYY]; "." and "-" only with a year ("12.30" is a time)
+  const slash = s.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?(?![\d/])/);
+  const dotted = slash ? null : s.match(/\b(\d{1,2})([.-])(\d{1,2})\2(\d{4}|\d{2})(?![\d.-])/);
+  const num = slash
+    ? { text: slash[0], day: slash[1], month: slash[2], year: slash[3] }
+    : dotted
+    ? { text: dotted[0], day: dotted[1], month: dotted[3], year: dotted[4] }
+    : null;
+  if (num) {
+    const day = Number(num.day);
+    const month = Number(num.month) - 1;
+    const year = num.year ? fullYear(num.year) : inferYear(month, day, ref);
+    const date = new Date(year, month, day);
+    if (month >= 0 && month < 12 && date.getMonth() === month && date.getDate() === day) {
+      const idx = s.indexOf(num.text);
+      const t = parseTimeOfDay(`${s.slice(0, idx)} ${s.slice(idx + num.text.length)}`);
+      return build(raw, date, t.minutes, role, "date", t.confidence);
+    }
+    return { raw, ts: null, iso: null, kind: "unknown", confidence: "none" };
+  }
+
+  // 3) Relative day phrases against the report date
+  let offset = null;
+  let rest = s;
+  const rel = [
+    [/\b(?:today|tonight|tdy)\b/i, () => 0],
+    [/\b(?:tomorrow|tmrw?|tml|tmw|next day)\b/i, () => 1],
+    [/\byesterday\b/i, () => -1],
+    [/(?:\bin\s+|\+\s*)(\d+)\s*(?:d|days?)\b/i, (m) => Number(m[1])],
+    [/\bD\s*\+\s*(\d+)\b/i, (m) => Number(m[1])],
+  ];
+  for (const [re, fn] of rel) {
+    const m = s.match(re);
+    if (m) {
+      offset = fn(m);
+      if (!/tonight/i.test(m[0])) rest = s.replace(m[0], " ");
+      break;
+    }
+  }
+  if (offset == null) {
+    const wd = s.match(/\b(next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thur?s?|fri|sat)\b/i);
+    if (wd) {
+      const target = WEEKDAYS[wd[2].slice(0, 3).toLowerCase()];
+      offset = (target - ref.getDay() + 7) % 7;
+      if (wd[1] && offset === 0) offset = 7;
+      rest = s.replace(wd[0], " ");
+    }
+  }
+  if (offset != null) {
+    const t = parseTimeOfDay(rest);
+    const date = new Date(ref.getFullYear(), ref.getMonth(), ref.getDate() + offset);
+    return build(raw, date, t.minutes, role, "relative", lower("medium", t.confidence));
+  }
+
+  // 4) Time only → on the report date
+  const t = parseTimeOfDay(s);
+  if (t.confidence !== "low") {
+    return build(raw, ref, t.minutes, role, "time", lower("medium", t.confidence));
+  }
+
+  return { raw, ts: null, iso: null, kind: "unknown", confidence: "none" };
+}
+
+// Compact duration for chips: "45m", "5h", "2d 4h" (sign is the caller's business)
+export function formatDuration(ms) {
+  const mins = Math.round(Math.abs(ms) / 60000);
+  if (mins < 60) return `${mins}m`;
+  const h = Math.floor(mins / 60);
+  if (h < 24) return `${h}h`;
+  const d = Math.floor(h / 24);
+  return h % 24 ? `${d}d ${h % 24}h` : `${d}d`;
+}
@@ -0,0 +1,128 @@
+import { DEFAULT_FLEET } from "./fleet";
+
+// EOSS turret unit (TU) tracking.
+//
+// Night Report headers carry a fit marker in front of the code:
+//   "*F2 - S"  -> fitted with a serviceable ('S') EOSS TU
+//   "^S3 - GR" -> fitted with an unserviceable ('U/S') EOSS TU
+// The HOTO "■ EOSS Status" section is free text, one TU per line, e.g.
+//   "TU 1234 - F2 (S)", "S/N 0456 on 263 U/S", "F3: TU SN7781 S", "TU 0987 - Store U/S (sent for repair)"
+// Each line is read for a serial, a tail (code or tail number), a location when not on a tail,
+// and a serviceability.
+
+export const EOSS_MARKERS = { "*": "S", "^": "U/S" };
+
+// Fit status from a header marker ("*", "^", "> *" ...): "S" | "U/S" | null
+export function markerEoss(marker) {
+  const m = /[*^]/.exec(marker || "");
+  return m ? EOSS_MARKERS[m[0]] : null;
+}
+
+const SERIAL_RE = /\b(?:TU|S\/N|SN|Serial)\s*(?:no\.?|#)?\s*[:#-]?\s*([A-Z]*\d[A-Z0-9/-]*)/i;
+const BARE_SERIAL_RE = /\b([A-Z]{0,3}\d{3,}[A-Z0-9-]*)\b/i;
+const CODE_RE = /\b([FS]\d)\b/i;
+const LOCATION_RE = /\b(stores?|workshop|w\/shop|bay|repair|oem|vendor|depot|spare)\b/i;
+const US_RE = /\b(?:u\/s|us|unserviceable|faulty|defective)\b/i;
+const S_RE = /(?:\(s\)|\bserviceable\b|\bsvc\b|(?:^|[\s–:-])s(?=\s*(?:$|[)–,;-])))/i;
+
+// One EOSS Status line -> { serial, code, location, status: "S"|"U/S"|"", remarks, line } or null
+export function parseEossLine(line, fleet = DEFAULT_FLEET) {
+  const text = String(line || "").trim();
+  if (!text) return null;
+
+  const byId = Object.fromEntries(fleet.map((t) => [String(t.id), t.code]));
+  let rest = text;
+
+  // Tail first so "TU 1234 on 263" does not read 263 as the serial
+  let code = null;
+  const mCode = CODE_RE.exec(rest);
+  if (mCode) {
+    code = mCode[1].toUpperCase();
+    rest = rest.replace(mCode[0], " ");
+  } else {
+    const id = Object.keys(byId).find((n) => new RegExp(`\\b${n}\\b`).test(rest));
+    if (id) {
+      code = byId[id];
+      rest = rest.replace(new RegExp(`\\b${id}\\b`), " ");
+    }
+  }
+
+  const mSerial = SERIAL_RE.exec(rest) || BARE_SERIAL_RE.exec(rest);
+  if (!mSerial) return null;
+  const serial = mSerial[1].toUpperCase();
+  rest = rest.replace(mSerial[0], " ");
+
+  const status = US_RE.test(rest) ? "U/S" : S_RE.test(rest) ? "S" : "";
+  const mLoc = code ? null : LOCATION_RE.exec(rest);
+  const remarks = ((/\(([^)]*)\)/.exec(rest) || [])[1] || "").replace(/^(?:s|u\/s)$/i, "").trim();
+
+  return {
+    serial,
+    code,
+    location: code ? code : mLoc ? mLoc[1].replace(/^w\/shop$/i, "workshop").toLowerCase() : "",
+    status,
+    remarks,
+    line: text,
+  };
+}
+
+// HOTO extra.eoss lines -> { units: [parsed], unparsed: [line] }
+export function parseEossStatus(lines, fleet = DEFAULT_FLEET) {
+  const units = [];
+  const unparsed = [];
+  (lines || []).forEach((ln) => {
+    if (/^nil$/i.test(String(ln).trim())) return;
+    const u = parseEossLine(ln, fleet);
+    if (u) units.push(u);
+    else unparsed.push(ln);
+  });
+  return { units, unparsed };
+}
+
+// Movement history per TU across dates.
+// days: [{ date, units: parseEossStatus().units }], oldest first
+// Returns [{ serial, current, seen, moves: [{ date, from, to, status }] }], current holder order
+export function eossHistory(days) {
+  const bySerial = {};
+  (days || []).forEach(({ date, units }) => {
+    units.forEach((u) => {
+      const rec = bySerial[u.serial] || (bySerial[u.serial] = { serial: u.serial, current: null, seen: [], moves: [] });
+      const prev = rec.current;
+      const where = u.location || "unknown";
+      if (!prev || prev.location !== where || prev.status !== u.status) {
+        rec.moves.push({ date, from: prev ? prev.location : null, to: where, status: u.status });
+      }
+      rec.current = { date, location: where, code: u.code, status: u.status, remarks: u.remarks };
+      rec.seen.push(date);
+    });
+  });
+  return Object.values(bySerial).sort(
+    (a, b) => !a.current.code - !b.current.code || a.current.location.localeCompare(b.current.location) || a.serial.localeCompare(b.serial)
+  );
+}
+
+// Night Report markers vs the HOTO EOSS list for one date:
+// [{ code, message }] where a tail's marker and its listed TU disagree
+export function eossMismatches(markers, units) {
+  const out = [];
+  const onTail = {};
+  (units || []).forEach((u) => { if (u.code) (onTail[u.code] || (onTail[u.code] = [])).push(u); });
+
+  Object.entries(markers || {}).forEach(([code, fit]) => {
+    const listed = onTail[code] || [];
+    if (!fit && listed.length) {
+      out.push({ code, message: `${code} has TU ${listed.map((u) => u.serial).join(", ")} in EOSS Status but no */^ marker on the Night Report.` });
+    } else if (fit && !listed.length) {
+      out.push({ code, message: `${code} is marked ${fit === "S" ? "*" : "^"} on the Night Report but no TU is listed on it in EOSS Status.` });
+    } else if (fit && listed.some((u) => u.status && u.status !== fit)) {
+      out.push({ code, message: `${code} is marked ${fit} EOSS TU on the Night Report but EOSS Status lists it as ${listed.map((u) => `${u.serial} ${u.status}`).join(", ")}.` });
+    }
+  });
+  Object.keys(onTail).forEach((code) => {
+    if (!(code in (markers || {}))) out.push({ code, message: `EOSS Status puts TU ${onTail[code].map((u) => u.serial).join(", ")} on ${code}, which is not on the Night Report.` });
+  });
+  Object.entries(onTail).forEach(([code, l]) => {
+    if (l.length > 1) out.push({ code, message: `${code} has ${l.length} TUs listed (${l.map((u) => u.serial).join(", ")}).` });
+  });
+  return out;
+}
@@ -0,0 +1,119 @@
+import { DEFAULT_FLEET } from "./fleet";
+import { normalizeText } from "./fuzzy";
+
+// Equipment registers for the HOTO "■ MEE", "■ BRU Status" and "■ Probe Status" sections.
+//
+// Saved with a day's document as `equipment` once the register table has been edited:
+//   { mee: [row], bru: [row], probe: [row] }, row = { item, serial, location, status, remarks }
+// A date without one is read from its HOTO text, or else carried over from the previous saved night.
+// Rows are written back into the HOTO one per line as
+//   "Item | S/N 1234 | F2 | S | remarks"
+// which parseRegisterLine() reads back exactly; hand-typed lines are read best effort.
+
+export const REGISTER_KINDS = [
+  ["mee", "MEE"],
+  ["bru", "BRU"],
+  ["probe", "Probe"],
+];
+
+export const REGISTER_FIELDS = ["item", "serial", "location", "status", "remarks"];
+
+export const emptyRegisterRow = () => ({ item: "", serial: "", location: "", status: "", remarks: "" });
+
+const SERIAL_RE = /\b(?:S\/N|SN|Serial)\s*(?:no\.?)?\s*[:#-]?\s*([A-Z0-9][A-Z0-9/-]*)/i;
+const CODE_RE = /\b([FS]\d)\b/i;
+const LOCATION_RE = /\b(stores?|workshop|w\/shop|hangar|bay|repair|oem|vendor|depot|cal(?:ibration)?)\b/i;
+const STATUS_RE = /\b(u\/s|unserviceable|serviceable|svc|due\s+cal(?:ibration)?|cal\s+due|o\/d|overdue)\b|(?:^|\s)(s)(?=\s*(?:$|[),;]))/i;
+
+function normalizeStatus(s) {
+  const t = String(s || "").trim().toLowerCase();
+  if (!t) return "";
+  if (/^(u\/s|us|unserviceable)$/.test(t)) return "U/S";
+  if (/^(s|serviceable|svc)$/.test(t)) return "S";
+  if (/due|o\/d|overdue/.test(t)) return "Cal due";
+  return s.trim();
+}
+
+// One register line -> row, or null for "Nil" / blank
+export function parseRegisterLine(line, fleet = DEFAULT_FLEET) {
+  const text = String(line || "").trim();
+  if (!text || /^nil$/i.test(text)) return null;
+
+  if (text.includes("|")) {
+    const [item = "", serial = "", location = "", status = "", ...rest] = text.split("|").map((s) => s.trim());
+    return {
+      item,
+      serial: serial.replace(/^(?:S\/N|SN)\s*/i, ""),
+      location,
+      status: normalizeStatus(status),
+      remarks: rest.join(" | "),
+    };
+  }
+
+  let rest = text;
+  const take = (re) => {
+    const m = re.exec(rest);
+    if (m) rest = `${rest.slice(0, m.index)} ${rest.slice(m.index + m[0].length)}`;
+    return m;
+  };
+
+  const mRemarks = take(/\(([^)]*)\)/);
+  const mSerial = take(SERIAL_RE);
+  const mCode = take(CODE_RE);
+  const id = mCode ? null : fleet.find((t) => new RegExp(`\\b${t.id}\\b`).test(rest));
+  if (id) take(new RegExp(`\\b${id.id}\\b`));
+  const mLoc = mCode || id ? null : take(LOCATION_RE);
+  const mStatus = take(STATUS_RE);
+
+  return {
+    item: rest
+      .replace(/\s+[-–:]\s+/g, " ")
+      .replace(/\s+(?:on|at|in|with|fitted(?:\s+to)?)(?=\s*$)/i, "")
+      .replace(/^[-–:\s]+|[-–:\s]+$/g, "")
+      .replace(/\s{2,}/g, " "),
+    serial: mSerial ? mSerial[1].toUpperCase() : "",
+    location: mCode ? mCode[1].toUpperCase() : id ? id.code : mLoc ? mLoc[1] : "",
+    status: mStatus ? normalizeStatus(mStatus[1] || mStatus[2]) : "",
+    remarks: mRemarks ? mRemarks[1].trim() : "",
+  };
+}
+
+export function parseRegister(lines, fleet = DEFAULT_FLEET) {
+  return (lines || []).map((ln) => parseRegisterLine(ln, fleet)).filter(Boolean);
+}
+
+// Row -> HOTO line (trailing empty fields dropped)
+export function serializeRegisterLine(row) {
+  const cells = [row.item, row.serial ? `S/N ${row.serial}` : "", row.location, row.status, row.remarks].map((c) =>
+    String(c || "").replace(/\|/g, "/").trim()
+  );
+  while (cells.length > 1 && !cells[cells.length - 1]) cells.pop();
+  return cells.join(" | ");
+}
+
+// Identity used to line rows up between nights: serial, else item wording
+export function registerRowKey(row) {
+  return row.serial ? `sn:${row.serial.toUpperCase()}` : `item:${normalizeText(row.item)}`;
+}
+
+// Compare a register with the previous night's:
+// { rows: [{ state: "new" | "changed" | "same", fields: [changed field], before }], removed: [row] }
+export function diffRegister(prev, rows) {
+  const before = {};
+  (prev || []).forEach((r) => { before[registerRowKey(r)] = r; });
+  const seen = new Set();
+
+  const out = (rows || []).map((r) => {
+    const key = registerRowKey(r);
+    seen.add(key);
+    const p = before[key];
+    if (!p) return { state: prev ? "new" : "same", fields: [], before: null };
+    const fields = REGISTER_FIELDS.filter((f) => String(p[f] || "").trim() !== String(r[f] || "").trim());
+    return { state: fields.length ? "changed" : "same", fields, before: p };
+  });
+
+  return {
+    rows: out,
+    removed: (prev || []).filter((r) => !seen.has(registerRowKey(r))),
+  };
+}
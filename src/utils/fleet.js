@@ -0,0 +1,63 @@
+import { PLACEHOLDERS, idToCode } from "./mapping";
+
+// Fleet registry: which airframes the dashboard shows and how they are coded.
+//
+// Stored in Firestore as settings/fleet:
+//   { tails: [{ id: 252, code: "F2", type: "", active: true, order: 0 }], updatedAt, savedBy }
+// Until that document exists the built-in PLACEHOLDERS list is used.
+// Codes are read straight out of free text by the report/RTS parsers, which only know
+// F0–F9 and S0–S9, so registry codes are held to that form.
+
+export const FLEET_CODE_RE = /^[FS]\d$/;
+
+export const DEFAULT_FLEET = PLACEHOLDERS.map((id, order) => ({
+  id,
+  code: idToCode(id),
+  type: "",
+  active: true,
+  order,
+}));
+
+// Clean up a stored/edited list: numbers for ids, upper-case codes, sorted by display order.
+// Falls back to DEFAULT_FLEET when there is nothing usable.
+export function normalizeFleet(tails) {
+  if (!Array.isArray(tails)) return DEFAULT_FLEET;
+  const out = tails
+    .filter((t) => t && Number(t.id) > 0)
+    .map((t, i) => ({
+      id: Number(t.id),
+      code: String(t.code || idToCode(Number(t.id))).trim().toUpperCase(),
+      type: String(t.type || "").trim(),
+      active: t.active !== false,
+      order: Number.isFinite(Number(t.order)) ? Number(t.order) : i,
+    }))
+    .sort((a, b) => a.order - b.order)
+    .map((t, order) => ({ ...t, order }));
+  return out.length ? out : DEFAULT_FLEET;
+}
+
+// Tails shown on cards, lanes and pickers
+export function activeFleet(fleet) {
+  return (fleet || DEFAULT_FLEET).filter((t) => t.active);
+}
+
+// Problems that block saving a registry: [message]
+export function validateFleet(tails) {
+  const problems = [];
+  const ids = {};
+  const codes = {};
+  (tails || []).forEach((t, i) => {
+    const row = `Row ${i + 1}`;
+    if (!Number.isInteger(Number(t.id)) || Number(t.id) <= 0) problems.push(`${row}: tail number must be a whole number.`);
+    const code = String(t.code || "").trim().toUpperCase();
+    if (!FLEET_CODE_RE.test(code)) problems.push(`${row}: code “${t.code || ""}” must be F or S followed by one digit.`);
+    if (ids[t.id] != null) problems.push(`${row}: tail ${t.id} is already on row ${ids[t.id] + 1}.`);
+    else ids[t.id] = i;
+    if (t.active && code) {
+      if (codes[code] != null) problems.push(`${row}: code ${code} is already used by an active tail on row ${codes[code] + 1}.`);
+      else codes[code] = i;
+    }
+  });
+  if (!(tails || []).some((t) => t.active)) problems.push("At least one tail must be active.");
+  return problems;
+}
@@ -0,0 +1,55 @@
+// Fuzzy text matching for free-text items (HOTO lines, defect descriptions).
+
+// Lowercase, drop punctuation and collapse whitespace
+export function normalizeText(s) {
+  return (s || "")
+    .toLowerCase()
+    .replace(/[‘’“”"'`]/g, "")
+    .replace(/[^a-z0-9/]+/g, " ")
+    .trim();
+}
+
+function bigrams(s) {
+  const out = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+// Sørensen–Dice similarity over character bigrams of the normalized text: 0 (unrelated) … 1 (same)
+export function similarity(a, b) {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+  const bx = bigrams(x);
+  const by = bigrams(y);
+  let overlap = 0;
+  bx.forEach((n, g) => { overlap += Math.min(n, by.get(g) || 0); });
+  return (2 * overlap) / (x.length - 1 + (y.length - 1));
+}
+
+// Greedy one-to-one pairing of `items` to `candidates` by similarity (best pairs first).
+// getText(x) reads the text to compare; candidates may offer several texts (e.g. past wordings).
+// Returns Map(itemIndex -> candidateIndex) for pairs scoring at least `threshold`.
+export function bestPairs(items, candidates, { threshold = 0.6, itemText, candidateTexts }) {
+  const scored = [];
+  items.forEach((it, i) => {
+    candidates.forEach((c, j) => {
+      const score = Math.max(0, ...candidateTexts(c).map((t) => similarity(itemText(it), t)));
+      if (score >= threshold) scored.push({ i, j, score });
+    });
+  });
+  scored.sort((p, q) => q.score - p.score);
+
+  const pairs = new Map();
+  const taken = new Set();
+  scored.forEach(({ i, j }) => {
+    if (pairs.has(i) || taken.has(j)) return;
+    pairs.set(i, j);
+    taken.add(j);
+  });
+  return pairs;
+}
@@ -0,0 +1,129 @@
+import { bestPairs, normalizeText } from "./fuzzy";
+
+// Stable identities for HOTO outstanding items.
+//
+// The registry is saved with each day's document as `hotoItems`:
+//   { [id]: { id, code, text, history: [older wordings], firstSeen, lastSeen } }
+// Each parse of the HOTO is matched against it per tail — exact text (current or any older
+// wording) first, then fuzzy — so an item keeps its id when it is reworded or re-pasted,
+// and ticks / moves keyed by id follow it.
+
+// Deterministic id for a brand-new item, so it is stable before the registry is saved
+function newItemId(code, text) {
+  let h = 5381;
+  const s = `${code}|${normalizeText(text)}`;
+  for (let i = 0; i < s.length; i++) h = ((h * 33) ^ s.charCodeAt(i)) >>> 0;
+  return `${code}-${h.toString(36)}`;
+}
+
+const wordings = (r) => [r.text, ...(r.history || [])];
+
+// outstanding: parseHOTO().outstanding ({ code: { tag, items: [text] } })
+// Returns { items: { code: [{ id, code, text }] }, registry } — registry is a new object
+// with matched/new items updated (lastSeen = dateISO, reworded text pushed to history).
+export function assignHotoItemIds(outstanding, registry, dateISO) {
+  const items = {};
+  const next = { ...(registry || {}) };
+
+  Object.keys(outstanding || {}).forEach((code) => {
+    const texts = outstanding[code].items || [];
+    const known = Object.values(registry || {}).filter((r) => r.code === code);
+    const claimed = new Set();
+    const ids = texts.map(() => null);
+
+    // 1) Exact match on any wording
+    texts.forEach((t, i) => {
+      const n = normalizeText(t);
+      const hit = known.find((r) => !claimed.has(r.id) && wordings(r).some((w) => normalizeText(w) === n));
+      if (hit) { ids[i] = hit.id; claimed.add(hit.id); }
+    });
+
+    // 2) Fuzzy match for the rest
+    const restIdx = texts.map((_, i) => i).filter((i) => !ids[i]);
+    const free = known.filter((r) => !claimed.has(r.id));
+    bestPairs(restIdx, free, { itemText: (i) => texts[i], candidateTexts: wordings }).forEach((j, k) => {
+      ids[restIdx[k]] = free[j].id;
+      claimed.add(free[j].id);
+    });
+
+    // 3) New ids; update the registry
+    items[code] = texts.map((text, i) => {
+      let id = ids[i];
+      if (!id) {
+        const base = newItemId(code, text);
+        id = base;
+        for (let n = 2; claimed.has(id); n++) id = `${base}-${n}`;
+        claimed.add(id);
+      }
+      const prev = next[id];
+      const history = prev && prev.text !== text
+        ? [...(prev.history || []).filter((w) => w !== text), prev.text]
+        : prev?.history || [];
+      next[id] = { id, code, text, history, firstSeen: prev?.firstSeen || dateISO, lastSeen: dateISO };
+      return { id, code, text };
+    });
+  });
+
+  return { items, registry: next };
+}
+
+// Working registry between saves: assignHotoItemIds() run against the previous working registry,
+// so an unsaved item keeps its id while it is being retyped, but with histories rebuilt from the
+// saved registry so intermediate wordings never reach it. Items deleted since the last save go
+// back to their saved entry (or are dropped when they were never saved).
+export function rebaseOnSaved(assigned, saved) {
+  const current = new Set(Object.values(assigned.items).flat().map((it) => it.id));
+  const registry = {};
+  Object.values(assigned.registry).forEach((r) => {
+    const s = saved?.[r.id];
+    if (!current.has(r.id)) {
+      if (s) registry[r.id] = s;
+      return;
+    }
+    const history = s && s.text !== r.text ? [...(s.history || []).filter((w) => w !== r.text), s.text] : s?.history || [];
+    registry[r.id] = { ...r, history, firstSeen: s?.firstSeen || r.firstSeen };
+  });
+  return { items: assigned.items, registry };
+}
+
+// Registry to start a new night from: only what was still outstanding on the previous night
+export function carryForwardRegistry(prevRegistry, prevDateISO) {
+  const out = {};
+  Object.values(prevRegistry || {}).forEach((r) => {
+    if (r.lastSeen === prevDateISO) out[r.id] = r;
+  });
+  return out;
+}
+
+// Age of each current outstanding item, found by walking back through earlier nights and
+// fuzzy-matching per tail (the wording may drift a little from night to night).
+// items:   { code: [{ id, code, text }] } for the current night (dateISO)
+// history: [{ date, outstanding: { code: [text] } | null }], newest first, all before dateISO;
+//          a null `outstanding` (no HOTO that night) is skipped without breaking the chain.
+// Returns { [id]: { firstSeen, nights } } — nights counts calendar nights up to dateISO, inclusive.
+export function traceItemAges(items, history, dateISO) {
+  const ages = {};
+  Object.keys(items || {}).forEach((code) => {
+    let tracking = items[code].map((it) => ({ id: it.id, text: it.text }));
+    tracking.forEach((t) => { ages[t.id] = { firstSeen: dateISO, nights: 1 }; });
+
+    for (const night of history || []) {
+      if (!tracking.length) break;
+      if (!night.outstanding) continue;
+      const prev = night.outstanding[code] || [];
+      const pairs = bestPairs(tracking, prev, { itemText: (t) => t.text, candidateTexts: (p) => [p] });
+      const still = [];
+      tracking.forEach((t, i) => {
+        if (!pairs.has(i)) return;
+        ages[t.id].firstSeen = night.date;
+        still.push({ id: t.id, text: prev[pairs.get(i)] });
+      });
+      tracking = still;
+    }
+  });
+
+  Object.values(ages).forEach((a) => {
+    a.nights = Math.round((Date.parse(dateISO) - Date.parse(a.firstSeen)) / 86400000) + 1;
+  });
+  return ages;
+}
@@ -0,0 +1,98 @@
+import { DEFAULT_FLEET } from "./fleet";
+import { normalizeText } from "./fuzzy";
+
+// AOM / lessons-learnt knowledge base from the HOTO "● AOM" and "● Lesson learnt" sections.
+//
+// The sections are carried from shift to shift, so the same line shows up on many dates;
+// each distinct line (per kind) becomes one entry dated by the first HOTO it appeared in,
+// credited to that document's `savedBy`.
+
+export const KNOWLEDGE_KINDS = [
+  ["aom", "AOM"],
+  ["lessons", "Lesson learnt"],
+];
+
+// Topic tags picked out of the text, on top of any #hashtags
+const TOPIC_TAGS = [
+  ["hydraulics", /\bhyd(?:raulics?)?\b/i],
+  ["engine", /\b(?:eng(?:ine)?|tgt|ng|np|fadec)\b/i],
+  ["transmission", /\b(?:mgb|igb|tgb|gearbox|transmission)\b/i],
+  ["rotors", /\b(?:rotor|blade|mr|tr)\b/i],
+  ["avionics", /\b(?:avionics?|radar|comms?|radio|nav|gps|afcs)\b/i],
+  ["electrical", /\b(?:elec(?:trical)?|battery|generator|wiring|connector)\b/i],
+  ["fuel", /\b(?:fuel|refuel|defuel)\b/i],
+  ["eoss", /\beoss\b/i],
+  ["bru", /\bbru\b/i],
+  ["probe", /\bprobe\b/i],
+  ["ground run", /\b(?:g\/?r|ground\s*runs?)\b/i],
+  ["fcf", /\b(?:fcf|check\s*flight|air\s*test)\b/i],
+  ["tooling", /\b(?:tool(?:ing|s)?|torque|mee|gse)\b/i],
+  ["documentation", /\b(?:docs?|documentation|log\s*book|form|amm|ipc|tech\s*log)\b/i],
+  ["safety", /\b(?:safety|fod|hazard|injury|ppe)\b/i],
+];
+
+// Tail codes ("F2") and tail numbers ("252") mentioned in a line, as codes
+export function tailRefs(text, fleet = DEFAULT_FLEET) {
+  const refs = new Set();
+  (String(text).match(/\b[FS]\d\b/gi) || []).forEach((c) => refs.add(c.toUpperCase()));
+  fleet.forEach((t) => {
+    if (new RegExp(`\\b${t.id}\\b`).test(text)) refs.add(t.code);
+  });
+  return [...refs].sort();
+}
+
+export function knowledgeTags(text) {
+  const tags = new Set((String(text).match(/#[\w-]+/g) || []).map((t) => t.slice(1).toLowerCase()));
+  TOPIC_TAGS.forEach(([tag, re]) => { if (re.test(text)) tags.add(tag); });
+  return [...tags].sort();
+}
+
+// docs: [{ id: "YYYY-MM-DD", savedBy, extra: parseHOTO().extra }]
+// Returns [{ id, kind, text, date, lastSeen, dates, author, tails, tags }], newest first
+export function extractKnowledge(docs, fleet = DEFAULT_FLEET) {
+  const byKey = {};
+  [...(docs || [])]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .forEach((d) => {
+      KNOWLEDGE_KINDS.forEach(([kind]) => {
+        (d.extra?.[kind] || []).forEach((line) => {
+          const text = String(line).trim();
+          if (!text || /^nil$/i.test(text)) return;
+          const key = `${kind}:${normalizeText(text)}`;
+          const e = byKey[key];
+          if (e) {
+            if (!e.dates.includes(d.id)) e.dates.push(d.id);
+            e.lastSeen = d.id;
+            return;
+          }
+          byKey[key] = {
+            id: key,
+            kind,
+            text,
+            date: d.id,
+            lastSeen: d.id,
+            dates: [d.id],
+            author: d.savedBy || "",
+            tails: tailRefs(text, fleet),
+            tags: knowledgeTags(text),
+          };
+        });
+      });
+    });
+  return Object.values(byKey).sort((a, b) => b.date.localeCompare(a.date) || a.text.localeCompare(b.text));
+}
+
+// Filters: { query, kind, tail, tag, author } — empty values match everything;
+// every word of the query has to appear in the text, tags, tails or author.
+export function searchKnowledge(entries, { query = "", kind = "", tail = "", tag = "", author = "" } = {}) {
+  const words = normalizeText(query).split(" ").filter(Boolean);
+  return (entries || []).filter((e) => {
+    if (kind && e.kind !== kind) return false;
+    if (tail && !e.tails.includes(tail)) return false;
+    if (tag && !e.tags.includes(tag)) return false;
+    if (author && e.author !== author) return false;
+    if (!words.length) return true;
+    const hay = normalizeText([e.text, ...e.tags, ...e.tails, e.author].join(" "));
+    return words.every((w) => hay.includes(w));
+  });
+}
@@ -1,3 +1,4 @@
+// Built-in fleet; the live list is the registry in Firestore (see utils/fleet)
 export const PLACEHOLDERS = [252, 253, 260, 261, 262, 263, 265, 266];
 
 export function idToCode(id) {
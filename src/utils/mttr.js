@@ -0,0 +1,111 @@
+// Rectification downtime and mean time to rectify (MTTR) from saved Night Reports.
+//
+// history: [{ date, tails: { code: { tag, inputTs, defects: [{ text, system, workcenter }] } } }], oldest first
+//
+// An episode opens on the first report where a tail is in rectification or AOG and closes on the
+// first later report where it is serviceable again (recovery / in-phase in between keep it open).
+// Downtime runs from the Input date-time of the opening entry (the report date if Input is
+// missing or unreadable) to the start of the closing report's date.
+
+const DAY = 86400000;
+const OPENS = new Set(["rectification", "aog"]);
+
+const dateTs = (iso) => new Date(`${iso}T00:00:00`).getTime();
+
+// Returns [{ code, start, end, openedOn, closedOn, downtimeMs, defects, systems, workcenters, open }]
+// `end` / `closedOn` / `downtimeMs` are null while the episode is still open.
+export function rectificationEpisodes(history, codes) {
+  const episodes = [];
+  const openBy = {};
+
+  (history || []).forEach(({ date, tails }) => {
+    codes.forEach((code) => {
+      const t = tails[code];
+      const ep = openBy[code];
+      if (ep) {
+        (t?.defects || []).forEach((d) => {
+          if (!ep.defects.some((x) => x.text === d.text)) ep.defects.push(d);
+        });
+        if (t?.tag === "serviceable") {
+          ep.closedOn = date;
+          ep.end = dateTs(date);
+          ep.downtimeMs = Math.max(0, ep.end - ep.start);
+          ep.open = false;
+          delete openBy[code];
+        }
+        return;
+      }
+      if (t && OPENS.has(t.tag)) {
+        const reported = dateTs(date);
+        const start = t.inputTs != null && t.inputTs <= reported + DAY ? t.inputTs : reported;
+        openBy[code] = {
+          code,
+          start,
+          end: null,
+          openedOn: date,
+          closedOn: null,
+          downtimeMs: null,
+          defects: [...(t.defects || [])],
+          open: true,
+        };
+        episodes.push(openBy[code]);
+      }
+    });
+  });
+
+  episodes.forEach((ep) => {
+    ep.systems = [...new Set(ep.defects.map((d) => d.system).filter(Boolean))];
+    ep.workcenters = [...new Set(ep.defects.map((d) => d.workcenter).filter(Boolean))];
+  });
+  return episodes;
+}
+
+// Closed episodes grouped by "tail" | "system" | "workcenter" (an episode counts once per key).
+// Returns [{ key, count, meanMs, medianMs, maxMs, totalMs }]
+export function summarizeDowntime(episodes, by) {
+  const groups = {};
+  episodes
+    .filter((ep) => !ep.open)
+    .forEach((ep) => {
+      const keys = by === "tail" ? [ep.code] : by === "system" ? ep.systems : ep.workcenters;
+      (keys.length ? keys : ["(not recorded)"]).forEach((key) => {
+        (groups[key] || (groups[key] = [])).push(ep.downtimeMs);
+      });
+    });
+  return Object.entries(groups).map(([key, list]) => {
+    const sorted = [...list].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const totalMs = sorted.reduce((s, v) => s + v, 0);
+    return {
+      key,
+      count: sorted.length,
+      meanMs: totalMs / sorted.length,
+      medianMs: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+      maxMs: sorted[sorted.length - 1],
+      totalMs,
+    };
+  });
+}
+
+export const DOWNTIME_BINS = [
+  { label: "< 1d", maxDays: 1 },
+  { label: "1–2d", maxDays: 2 },
+  { label: "2–3d", maxDays: 3 },
+  { label: "3–7d", maxDays: 7 },
+  { label: "1–2w", maxDays: 14 },
+  { label: "2–4w", maxDays: 28 },
+  { label: "> 4w", maxDays: Infinity },
+];
+
+// Closed episodes per downtime bin: [{ label, count }]
+export function downtimeHistogram(episodes) {
+  const counts = DOWNTIME_BINS.map((b) => ({ label: b.label, count: 0 }));
+  episodes
+    .filter((ep) => !ep.open)
+    .forEach((ep) => {
+      const days = ep.downtimeMs / DAY;
+      const i = DOWNTIME_BINS.findIndex((b) => days < b.maxDays);
+      counts[i].count += 1;
+    });
+  return counts;
+}
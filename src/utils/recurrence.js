@@ -0,0 +1,68 @@
+import { normalizeText, similarity } from "./fuzzy";
+
+// Repeat / chronic defect detection across saved Night Reports.
+//
+// occurrences: [{ date: "YYYY-MM-DD", code, text, system }] — one per defect line per report
+// dates:       every saved report date, ascending (to tell "still open" from "came back")
+//
+// Defects are clustered per tail by fuzzy text match (looser when the Telegram `system` agrees,
+// stricter when it differs). A defect seen on consecutive saved reports is one episode; when it
+// disappears and shows up again, that is a repeat. A cluster is flagged when a repeat starts
+// within `windowDays` of the previous episode's end.
+
+function matchScore(cluster, occ) {
+  const text = Math.max(...cluster.wordings.map((w) => similarity(w, occ.text)));
+  const a = normalizeText(cluster.system);
+  const b = normalizeText(occ.system);
+  if (a && b && a === b) return text >= 0.4 ? text : 0;
+  if (a && b && a !== b) return text >= 0.75 ? text : 0;
+  return text >= 0.55 ? text : 0;
+}
+
+const dayDiff = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+// Returns clusters, flagged first then most episodes:
+//   [{ id, code, text, system, wordings, dates, episodes: [{ start, end }],
+//      repeats: [{ after, start, gapDays }], flagged }]
+export function findRecurringDefects(occurrences, dates, { windowDays = 30 } = {}) {
+  const prevDate = {};
+  (dates || []).forEach((d, i) => { prevDate[d] = i > 0 ? dates[i - 1] : null; });
+
+  const clusters = [];
+  [...(occurrences || [])]
+    .filter((o) => o.text && o.code)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach((occ) => {
+      let best = null;
+      let bestScore = 0;
+      clusters.forEach((c) => {
+        if (c.code !== occ.code) return;
+        const score = matchScore(c, occ);
+        if (score > bestScore) { best = c; bestScore = score; }
+      });
+      if (!best) {
+        best = { id: `${occ.code}-${clusters.length + 1}`, code: occ.code, text: occ.text, system: occ.system || "", wordings: [], dates: [], episodes: [] };
+        clusters.push(best);
+      }
+      if (!best.wordings.includes(occ.text)) best.wordings.push(occ.text);
+      best.text = occ.text; // latest wording
+      if (occ.system) best.system = occ.system;
+      if (best.dates.includes(occ.date)) return;
+      best.dates.push(occ.date);
+
+      const last = best.episodes[best.episodes.length - 1];
+      if (last && (last.end === occ.date || last.end === prevDate[occ.date])) last.end = occ.date;
+      else best.episodes.push({ start: occ.date, end: occ.date });
+    });
+
+  clusters.forEach((c) => {
+    c.repeats = c.episodes.slice(1).map((ep, i) => ({
+      after: c.episodes[i].end,
+      start: ep.start,
+      gapDays: dayDiff(c.episodes[i].end, ep.start),
+    }));
+    c.flagged = c.repeats.some((r) => r.gapDays <= windowDays);
+  });
+
+  return clusters.sort((a, b) => b.flagged - a.flagged || b.episodes.length - a.episodes.length || b.dates.length - a.dates.length);
+}
@@ -0,0 +1,78 @@
+// RTS tasking vs Night Report status for the same date.
+//
+// daily:   parseRTSDaily() output
+// entries: parseReportDetailed().entries ({ code: entry }, entry.tag from deriveStatusTag)
+// Returns [{ code, kind: "mission"|"spare"|"healing", severity: "error"|"warn", message }]
+
+const TAG_LABEL = {
+  aog: "AOG",
+  rectification: "U/S (rectification)",
+  "in-phase": "in phase",
+  recovery: "in recovery",
+};
+
+// Healing slots are for ground runs / check flights; look for one in the tail's report text
+const HEALING_WORK_RE = /\b(?:g\/?r|ground\s*runs?|fcf|air\s*test|check\s*flight|hover\s*check)\b/i;
+
+function entryText(entry) {
+  return [entry.title, entry.input, entry.etr, ...(entry.notes || [])].filter(Boolean).join(" ");
+}
+
+export function crossCheckRts(daily, entries) {
+  const out = [];
+  if (!daily) return out;
+  const byCode = entries || {};
+
+  (daily.missions || []).forEach((m) => {
+    const e = m.code && byCode[m.code];
+    if (!e) return;
+    if (e.tag === "aog" || e.tag === "rectification" || e.tag === "in-phase") {
+      out.push({
+        code: m.code,
+        kind: "mission",
+        severity: "error",
+        message: `${m.code} is tasked for ${m.label} but is ${TAG_LABEL[e.tag]} on the Night Report.`,
+      });
+    } else if (e.tag === "recovery") {
+      out.push({
+        code: m.code,
+        kind: "mission",
+        severity: "warn",
+        message: `${m.code} is tasked for ${m.label} while still ${TAG_LABEL[e.tag]}.`,
+      });
+    }
+  });
+
+  (daily.spares || []).forEach((m) => {
+    const e = m.code && byCode[m.code];
+    if (!e || !TAG_LABEL[e.tag]) return;
+    out.push({
+      code: m.code,
+      kind: "spare",
+      severity: e.tag === "recovery" ? "warn" : "error",
+      message: `${m.code} is listed as spare but is ${TAG_LABEL[e.tag]} on the Night Report.`,
+    });
+  });
+
+  (daily.healing || []).forEach((h) => {
+    if (!h.code) return;
+    const e = byCode[h.code];
+    if (!e) {
+      out.push({
+        code: h.code,
+        kind: "healing",
+        severity: "warn",
+        message: `${h.code} has a healing slot (${h.label}) but is not on the Night Report.`,
+      });
+    } else if (!HEALING_WORK_RE.test(entryText(e))) {
+      out.push({
+        code: h.code,
+        kind: "healing",
+        severity: "warn",
+        message: `${h.code} has a healing slot (${h.label}) but no outstanding G/R or FCF on the Night Report.`,
+      });
+    }
+  });
+
+  return out;
+}
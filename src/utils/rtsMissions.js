@@ -0,0 +1,258 @@
+// Structured RTS tasking: time windows and mission-type tokens.
+//
+// A mission line such as "F3 1130 - 2200 GH/IF/ASUW/ASW/DIP (ERC)" becomes
+//   { start: 690, end: 1320, duration: 630, types: ["GH", "IF", "ASUW", "ASW", "DIP"], remarks: ["ERC"] }
+// Times are minutes from midnight; a window past midnight ends after 1440.
+
+// Mission-type catalogue. `flying` marks codes that count toward planned flying hours.
+// BMD / RSD appear on the RTS as whole-line taskings; edit the wording to match unit SOPs.
+export const MISSION_TYPES = {
+  GH:      { name: "General Handling", flying: true },
+  IF:      { name: "Instrument Flying", flying: true },
+  NF:      { name: "Night Flying", flying: true },
+  NVG:     { name: "Night Vision Goggle flying", flying: true },
+  ASUW:    { name: "Anti-Surface Warfare", flying: true },
+  ASW:     { name: "Anti-Submarine Warfare", flying: true },
+  DIP:     { name: "Dipping sonar", flying: true },
+  DLP:     { name: "Deck Landing Practice", flying: true },
+  SAR:     { name: "Search and Rescue", flying: true },
+  VIP:     { name: "VIP flight", flying: true },
+  VERTREP: { name: "Vertical Replenishment", flying: true },
+  FCF:     { name: "Functional Check Flight", flying: true },
+  BMD:     { name: "BMD tasking", flying: true },
+  RSD:     { name: "RSD tasking", flying: true },
+  GR:      { name: "Ground Run", flying: false },
+};
+
+// Catalogue entry for a code; unknown codes are shown as-is and assumed to be flying
+export function describeMissionType(code) {
+  return MISSION_TYPES[code] || { name: code, flying: true };
+}
+
+// First "HHMM - HHMM" window in a line → { start, end, duration } (minutes) or nulls
+export function parseTimeWindow(s) {
+  const m = (s || "").match(/\b(\d{1,2})(\d{2})\s*-\s*(\d{1,2})(\d{2})\b/);
+  if (!m) return { start: null, end: null, duration: null };
+  const start = Number(m[1]) * 60 + Number(m[2]);
+  let end = Number(m[3]) * 60 + Number(m[4]);
+  if (end <= start) end += 1440; // runs past midnight
+  return { start, end, duration: end - start };
+}
+
+// Mission-type codes ("GH/IF/ASW") and remarks in the rest of a line. Only catalogue codes count
+// as types; bracketed text ("(ERC)") and any other words ("WITH NEW CREW") are kept as remarks.
+export function parseMissionTypes(s) {
+  const text = s || "";
+  const remarks = [...text.matchAll(/\(([^)]*)\)/g)].map((m) => m[1].trim()).filter(Boolean);
+  const tokens = text
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/\b\d{1,4}\s*-\s*\d{1,4}\b/g, " ")
+    .replace(/\bG\/R\b/gi, " GR ") // "G/R" is a ground run, not two codes
+    .split(/[\s/,+&]+/)
+    .filter(Boolean);
+  const types = tokens
+    .map((t) => t.toUpperCase())
+    .filter((t, i, arr) => MISSION_TYPES[t] && arr.indexOf(t) === i);
+  const words = tokens.filter((t) => !MISSION_TYPES[t.toUpperCase()] && !/^(?:[FS]\d|spare|nil|[-–:]+)$/i.test(t));
+  if (words.length) remarks.push(words.join(" "));
+  return { types, remarks };
+}
+
+// Everything structured about a mission / spare / healing line
+export function missionDetails(s) {
+  return { ...parseTimeWindow(s), ...parseMissionTypes(s) };
+}
+
+// "HHMM" for minutes from midnight (wraps past 2400)
+export function formatMinutes(min) {
+  if (min == null) return "";
+  const m = ((min % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}${String(m % 60).padStart(2, "0")}`;
+}
+
+// Clock times ("1415, 1715 & 1845") in a line → [minutes]; "HHMM-HHMM" ranges are ignored
+export function parseClockTimes(s) {
+  const text = (s || "").replace(/\b\d{3,4}\s*-\s*\d{3,4}\b/g, " ");
+  return [...text.matchAll(/\b([01]?\d|2[0-3])([0-5]\d)\s*H?\b/gi)].map((m) => Number(m[1]) * 60 + Number(m[2]));
+}
+
+// A Hot / Cold refuel line ("F3 1415, 1715, 1845" or just "2230") → [{ kind, code, time }]
+export function parseRefuelLine(ln, kind) {
+  const s = (ln || "").trim();
+  const m = s.match(/^([FS]\d)\b\s*:?\s*(.*)$/i);
+  const code = m ? m[1].toUpperCase() : null;
+  return parseClockTimes(m ? m[2] : s).map((time) => ({ kind, code, time }));
+}
+
+// Lanes for the daily Gantt, one per fleet code, from parseRTSDaily() output.
+// Returns {
+//   lanes:   [{ code, bars: [{ kind: "mission"|"spare"|"healing", start, end, item }], refuels: [{ kind, time }] }],
+//   markers: [{ kind: "ops"|"hot"|"cold", time }]   — fleet-wide vertical lines
+//   unplaced:[item]                                 — items with no tail or no time window
+//   axisEnd: minutes at the right edge (1440, or later when a window runs past midnight)
+// }
+// Spares without a window span the day's flying window; "Nil Spare" is left out.
+// A refuel with no tail goes to the only flying tail if there is exactly one, else becomes a marker.
+export function buildRtsTimeline(daily, codes) {
+  const lanes = codes.map((code) => ({ code, bars: [], refuels: [] }));
+  const byCode = Object.fromEntries(lanes.map((l) => [l.code, l]));
+  const markers = (daily?.opsTimes || []).map((time) => ({ kind: "ops", time }));
+  const unplaced = [];
+  let axisEnd = 1440;
+
+  const place = (kind, item) => {
+    const lane = item.code && byCode[item.code];
+    if (!lane || item.start == null) { unplaced.push(item); return; }
+    lane.bars.push({ kind, start: item.start, end: item.end, item });
+    axisEnd = Math.max(axisEnd, Math.ceil(item.end / 60) * 60);
+  };
+  (daily?.missions || []).forEach((m) => place("mission", m));
+  // A spare with no window of its own stands by across the day's flying window
+  const timed = (daily?.missions || []).filter((m) => m.start != null);
+  const flyStart = timed.length ? Math.min(...timed.map((m) => m.start)) : null;
+  const flyEnd = timed.length ? Math.max(...timed.map((m) => m.end)) : null;
+  (daily?.spares || []).filter((m) => m.code).forEach((m) => {
+    place("spare", m.start == null && flyStart != null ? { ...m, start: flyStart, end: flyEnd } : m);
+  });
+  (daily?.healing || []).forEach((h) => place("healing", h));
+
+  const flying = [...new Set((daily?.missions || []).map((m) => m.code).filter((c) => byCode[c]))];
+  (daily?.refuels || []).forEach((r) => {
+    const code = r.code || (flying.length === 1 ? flying[0] : null);
+    if (code && byCode[code]) byCode[code].refuels.push({ kind: r.kind, time: r.time });
+    else markers.push({ kind: r.kind, time: r.time });
+  });
+
+  return { lanes, markers, unplaced, axisEnd };
+}
+
+// Does a mission count toward flying hours? Untyped missions do; typed ones if any type flies.
+export function isFlyingMission(m) {
+  return !(m.types || []).length || m.types.some((t) => describeMissionType(t).flying);
+}
+
+// Week of parseRTSDaily()-shaped days → utilisation per tail and per mission type.
+// Returns {
+//   tails:  [{ code, sorties, minutes, spareDays, healing }]   — one per fleet code, in order
+//   types:  [{ code, name, sorties, minutes }]                  — busiest first; a sortie flying
+//                                                                 several types counts toward each
+//   totals: { sorties, minutes, spareDays, healing }
+// }
+export function summarizeRtsWeek(days, codes) {
+  const tails = codes.map((code) => ({ code, sorties: 0, minutes: 0, spareDays: 0, healing: 0 }));
+  const byCode = Object.fromEntries(tails.map((t) => [t.code, t]));
+  const types = {};
+
+  (days || []).forEach((day) => {
+    (day.missions || []).forEach((m) => {
+      const t = m.code && byCode[m.code];
+      const mins = isFlyingMission(m) ? m.duration || 0 : 0;
+      if (t) { t.sorties += 1; t.minutes += mins; }
+      (m.types || []).forEach((code) => {
+        if (!types[code]) types[code] = { code, name: describeMissionType(code).name, sorties: 0, minutes: 0 };
+        types[code].sorties += 1;
+        types[code].minutes += m.duration || 0;
+      });
+    });
+    new Set((day.spares || []).map((m) => m.code).filter((c) => byCode[c])).forEach((c) => { byCode[c].spareDays += 1; });
+    (day.healing || []).forEach((h) => { if (h.code && byCode[h.code]) byCode[h.code].healing += 1; });
+  });
+
+  const totals = tails.reduce(
+    (acc, t) => ({
+      sorties: acc.sorties + t.sorties,
+      minutes: acc.minutes + t.minutes,
+      spareDays: acc.spareDays + t.spareDays,
+      healing: acc.healing + t.healing,
+    }),
+    { sorties: 0, minutes: 0, spareDays: 0, healing: 0 }
+  );
+  const typeList = Object.values(types).sort((a, b) => b.sorties - a.sorties || b.minutes - a.minutes);
+  return { tails, types: typeList, totals };
+}
+
+// Refuel schedule for the day from parseRTSDaily().refuels, in time order.
+// Two hot refuels less than `separation` minutes apart clash (one crew can't do both).
+// Returns {
+//   events:  [{ kind, code, time, clash }]   — clash: true if within separation of another hot refuel
+//   perTail: [{ code, hot, cold }]           — tails with at least one refuel; code null = no tail given
+//   clashes: [[eventA, eventB]]
+// }
+export function refuelSchedule(refuels, separation = 15) {
+  const events = (refuels || [])
+    .map((r) => ({ ...r, clash: false }))
+    .sort((a, b) => a.time - b.time || (a.code || "").localeCompare(b.code || ""));
+
+  const clashes = [];
+  const hot = events.filter((e) => e.kind === "hot");
+  for (let i = 0; i < hot.length; i++) {
+    for (let j = i + 1; j < hot.length && hot[j].time - hot[i].time < separation; j++) {
+      hot[i].clash = true;
+      hot[j].clash = true;
+      clashes.push([hot[i], hot[j]]);
+    }
+  }
+
+  const tally = {};
+  events.forEach((e) => {
+    const key = e.code || "";
+    if (!tally[key]) tally[key] = { code: e.code, hot: 0, cold: 0 };
+    tally[key][e.kind] += 1;
+  });
+  const perTail = Object.values(tally).sort((a, b) => !a.code - !b.code || (a.code || "").localeCompare(b.code || ""));
+
+  return { events, perTail, clashes };
+}
+
+// Plain-text refuel brief for the refuelling crew
+export function refuelBrief(dateLabel, schedule, separation = 15) {
+  const line = (e) => `${formatMinutes(e.time)}  ${e.code || "—"}${e.clash ? "  ⚠️" : ""}`;
+  const hot = schedule.events.filter((e) => e.kind === "hot");
+  const cold = schedule.events.filter((e) => e.kind === "cold");
+  const out = [`Refuel plan ${dateLabel || ""}`.trim(), ""];
+  out.push("Hot ⛽️", ...(hot.length ? hot.map(line) : ["Nil"]), "");
+  out.push("Cold ⛽️", ...(cold.length ? cold.map(line) : ["Nil"]), "");
+  out.push(
+    "Per tail:",
+    ...(schedule.perTail.length
+      ? schedule.perTail.map((t) => `${t.code || "—"}: ${t.hot} hot, ${t.cold} cold`)
+      : ["Nil"])
+  );
+  if (schedule.clashes.length) {
+    out.push("", `⚠️ Hot refuels less than ${separation} min apart:`);
+    schedule.clashes.forEach(([a, b]) => {
+      out.push(`${formatMinutes(a.time)} ${a.code || "—"} / ${formatMinutes(b.time)} ${b.code || "—"} (${b.time - a.time} min)`);
+    });
+  }
+  return out.join("\n");
+}
+
+// Per-tail Notes line ("S2: Profile A, Profile C, 1/rev, 4/rev") → { code, items } or null
+export function parseNoteLine(ln) {
+  const m = (ln || "").trim().match(/^([FS]\d)\b\s*[:\-–]?\s*(.+)$/i);
+  if (!m) return null;
+  const items = m[2]
+    .split(/\s*[,;]\s*|\s+&\s+/)
+    .map((t) => t.trim().replace(/\.$/, ""))
+    .filter(Boolean);
+  return items.length ? { code: m[1].toUpperCase(), items } : null;
+}
+
+// Notes → { code: [test profile items] }, several lines for one tail merged without duplicates
+export function parseTestProfiles(notes) {
+  const out = {};
+  (notes || []).forEach((ln) => {
+    const p = parseNoteLine(ln);
+    if (!p) return;
+    const list = out[p.code] || (out[p.code] = []);
+    p.items.forEach((it) => {
+      if (!list.some((x) => x.toLowerCase() === it.toLowerCase())) list.push(it);
+    });
+  });
+  return out;
+}
+
+// Key for a profile tick, stable across re-pastes that only change case or spacing
+export function profileTickKey(code, item) {
+  return `${code}|${item.toLowerCase().replace(/\s+/g, " ").trim()}`;
+}
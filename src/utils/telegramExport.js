@@ -0,0 +1,69 @@
+import { DEFAULT_FLEET, activeFleet } from "./fleet";
+
+// Telegram Desktop "Export chat history" (JSON) → defect messages for the Generator.
+// result.json looks like:
+//   { name, type, id, messages: [{ id, type: "message", date: "2025-08-13T18:05:00", from, text }] }
+// where `text` is either a string or an array of strings / { type, text } entities.
+
+// Flatten Telegram's rich text into plain text
+export function flattenTelegramText(text) {
+  if (typeof text === "string") return text;
+  if (!Array.isArray(text)) return "";
+  return text.map((part) => (typeof part === "string" ? part : part?.text || "")).join("");
+}
+
+// Parse the export into [{ id, date: "YYYY-MM-DD", time: "HH:MM", from, text }], oldest first.
+// Throws if the JSON is not a Telegram chat export.
+export function parseTelegramExport(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (!data || !Array.isArray(data.messages)) {
+    throw new Error("Not a Telegram chat export (no messages array).");
+  }
+  return data.messages
+    .filter((m) => m && m.type === "message")
+    .map((m) => {
+      const [date = "", time = ""] = String(m.date || "").split("T");
+      return {
+        id: m.id,
+        date,
+        time: time.slice(0, 5),
+        from: m.from || "",
+        text: flattenTelegramText(m.text).replace(/\r/g, "").trim(),
+      };
+    })
+    .filter((m) => m.text)
+    .sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`) || a.id - b.id);
+}
+
+// A tail number said to be one: "Tail 262", "A/C 262", "#262", or alone on a line / leading "262:"
+const TAIL_CONTEXT_RE =
+  /\b(?:tail|a\/?c|aircraft|acft|heli)\s*(?:no\.?)?\s*[:#-]?\s*(\d{2,4})\b|#(\d{2,4})\b|^\s*(\d{2,4})(?=\s*$|\s*[:–-]\s)/gim;
+// Any other whole number that is not a time, quantity, part number or measurement
+const TAIL_TOKEN_RE = /(?<![\w/.:#-])(?<!\b(?:s\/n|sn|p\/n|pn|qty|x)\s*)(\d{2,4})(?![\w/.:-])(?!\s*(?:h|hrs?|hours?|mins?|x|pcs?|qty|lbs?|kg|l|psi|nm|mm|°)\b)/gi;
+
+// Find which tail a message is about: a "S2"/"F3" code, else a fleet tail number ("262") written
+// as a tail, else the one fleet tail number standing on its own. Ambiguous messages get null so
+// the user picks the tail.
+// fleet: registry tails (utils/fleet); only active ones are matched. Returns the code or null.
+export function matchMessageTail(text, fleet = DEFAULT_FLEET) {
+  const s = text || "";
+  const codeLine = s.match(/^\s*([FS]\d)\s*$/im);
+  if (codeLine) return codeLine[1].toUpperCase();
+  const tails = activeFleet(fleet);
+  const codes = tails.map((t) => t.code);
+  const code = [...s.matchAll(/\b([FS]\d)\b/gi)].map((m) => m[1].toUpperCase()).find((c) => codes.includes(c));
+  if (code) return code;
+  const byNumber = (re) => [
+    ...new Set([...s.matchAll(re)].map((m) => tails.find((t) => t.id === Number(m[1] || m[2] || m[3]))?.code).filter(Boolean)),
+  ];
+  const stated = byNumber(TAIL_CONTEXT_RE);
+  if (stated.length) return stated.length === 1 ? stated[0] : null;
+  const loose = byNumber(TAIL_TOKEN_RE);
+  return loose.length === 1 ? loose[0] : null;
+}
+
+// Text in the shape parseTelegramDefects() expects: a code-only line, then the message body.
+export function toDefectText(message, code) {
+  if (/^\s*[FS]\d\s*$/im.test(message.text)) return message.text;
+  return `${code}\n\n${message.text}`;
+}
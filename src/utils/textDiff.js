@@ -0,0 +1,75 @@
+// Line diff for comparing two saved revisions side by side.
+
+// Longest-common-subsequence line diff:
+// [{ type: "same" | "del" | "add", text }] in order (del = only in a, add = only in b)
+export function diffLines(a, b) {
+  const x = String(a || "").replace(/\r/g, "").split("\n");
+  const y = String(b || "").replace(/\r/g, "").split("\n");
+  const n = x.length;
+  const m = y.length;
+
+  // lcs[i][j] = LCS length of x[i..] and y[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (x[i] === y[j]) { out.push({ type: "same", text: x[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) out.push({ type: "del", text: x[i++] });
+    else out.push({ type: "add", text: y[j++] });
+  }
+  while (i < n) out.push({ type: "del", text: x[i++] });
+  while (j < m) out.push({ type: "add", text: y[j++] });
+  return out;
+}
+
+// diffLines() laid out as side-by-side rows: [{ left, right, type: "same" | "change" | "del" | "add" }]
+// A run of deletions followed by additions is paired up line by line as changes.
+export function sideBySide(ops) {
+  const rows = [];
+  let dels = [];
+  let adds = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(dels.length, adds.length); k++) {
+      const left = k < dels.length ? dels[k] : null;
+      const right = k < adds.length ? adds[k] : null;
+      rows.push({ left, right, type: left != null && right != null ? "change" : left != null ? "del" : "add" });
+    }
+    dels = [];
+    adds = [];
+  };
+  ops.forEach((op) => {
+    if (op.type === "del") dels.push(op.text);
+    else if (op.type === "add") adds.push(op.text);
+    else { flush(); rows.push({ left: op.text, right: op.text, type: "same" }); }
+  });
+  flush();
+  return rows;
+}
+
+// Keep only changed rows and `context` unchanged rows around them; each skipped run becomes
+// one { type: "skip", count } row.
+export function foldUnchanged(rows, context = 2) {
+  const keep = rows.map(() => false);
+  rows.forEach((r, i) => {
+    if (r.type === "same") return;
+    for (let k = Math.max(0, i - context); k <= Math.min(rows.length - 1, i + context); k++) keep[k] = true;
+  });
+  const out = [];
+  let skipped = 0;
+  rows.forEach((r, i) => {
+    if (keep[i]) {
+      if (skipped) out.push({ type: "skip", count: skipped });
+      skipped = 0;
+      out.push(r);
+    } else skipped++;
+  });
+  if (skipped) out.push({ type: "skip", count: skipped });
+  return out;
+}